@@ -12,28 +12,141 @@ export interface SandboxOptions {
   runtime?: string;
   /** Sandbox description */
   description?: string;
-  /** Timeout in milliseconds */
+  /** Time until the server kills the sandbox, in milliseconds (default: 1 hour) */
   timeout?: number;
+  /** User metadata, e.g. tenant or job id */
+  metadata?: Record<string, string>;
+  /** Environment variables for all code run in the sandbox */
+  envs?: Record<string, string>;
+  /** Pause instead of kill when the timeout is reached (default: false) */
+  autoPause?: boolean;
   /** Server URL (default: http://localhost:8083) */
   serverUrl?: string;
   /** API key for authentication */
   apiKey?: string;
+  /**
+   * Per-request timeout in milliseconds for control and metadata calls (default: 30000, 0 disables).
+   * runCode, install and pause are not limited by it; bound executions with runCode's timeoutMs.
+   */
+  requestTimeoutMs?: number;
+  /** Retries for failed requests (default: 3) */
+  maxRetries?: number;
+  /** Initial retry backoff in milliseconds, doubled per attempt (default: 500) */
+  retryDelayMs?: number;
+  /** Logger for SDK messages (default: silent) */
+  logger?: Logger;
+  /** Log method, path, status and latency of every request (uses the console if no logger is given) */
+  debug?: boolean;
+  /** WebSocket implementation for terminals, e.g. from the ws package on Node < 22 (default: the global WebSocket) */
+  WebSocket?: new (url: string) => any;
+  /** Directory relative file paths resolve against (default: /home/user) */
+  cwd?: string;
+  /** Status polling interval in milliseconds when the event stream is unavailable (default: 5000) */
+  statusPollIntervalMs?: number;
+  /** How long before the timeout polling emits 'expiring', in milliseconds (default: 60000) */
+  expiringThresholdMs?: number;
 }
 
-export interface ExecutionResult {
-  /** Output text from code execution */
-  text: string;
-  /** Execution logs */
-  logs: {
-    stdout: string[];
-    stderr: string[];
-  };
-  /** Error message if execution failed */
-  error?: string | null;
-  /** Exit code */
-  exitCode: number;
-  /** Execution time in milliseconds */
-  executionTime: number;
+/** Lifecycle state of a sandbox */
+export type SandboxState = 'starting' | 'running' | 'paused' | 'restarting' | 'stopped' | 'killed' | 'error';
+
+/** Payloads of the events a Sandbox emits */
+export interface SandboxEvents {
+  /** The sandbox changed state; previousStatus is null for the first status seen */
+  status: { status: SandboxState; previousStatus: SandboxState | null };
+  /** The sandbox will soon reach its timeout */
+  expiring: { endAt: Date | null; remainingMs: number | null };
+  /** The sandbox is gone, e.g. reason 'killed', 'timeout' or 'not_found' */
+  killed: { reason: string };
+  /** A process in the sandbox ran out of memory */
+  oom: { pid?: number; memoryLimitMb?: number };
+}
+
+export interface Logger {
+  debug?: (...args: any[]) => void;
+  info?: (...args: any[]) => void;
+  warn?: (...args: any[]) => void;
+  error?: (...args: any[]) => void;
+}
+
+export interface CreateSandboxOptions extends SandboxOptions {
+  /** Aborts the create request */
+  signal?: AbortSignal;
+}
+
+export interface ConnectSandboxOptions extends Omit<SandboxOptions, 'name' | 'runtime' | 'description' | 'timeout' | 'metadata' | 'envs' | 'autoPause'> {
+  /** Aborts the connect requests */
+  signal?: AbortSignal;
+}
+
+export interface ResumeSandboxOptions extends ConnectSandboxOptions {
+  /** New time until the server kills (or pauses) the sandbox, in milliseconds */
+  timeout?: number;
+  /** Pause again instead of kill when the timeout is reached */
+  autoPause?: boolean;
+}
+
+export interface RequestOpts {
+  /** Aborts the request */
+  signal?: AbortSignal;
+  /** Overrides the sandbox's request timeout in milliseconds (0 disables) */
+  requestTimeoutMs?: number;
+}
+
+export interface Chart {
+  /** Chart type (line, bar, scatter, pie, ...) */
+  type: string;
+  /** Chart title */
+  title?: string | null;
+  /** Chart elements */
+  elements?: any[];
+  [key: string]: any;
+}
+
+export interface OutputMessage {
+  /** Output line */
+  line: string;
+  /** Timestamp in milliseconds */
+  timestamp: number;
+  /** Whether the line was written to stderr */
+  error: boolean;
+}
+
+export interface Context {
+  /** Context ID */
+  id: string;
+  /** Programming language */
+  language: string;
+  /** Working directory */
+  cwd: string;
+}
+
+export interface CreateCodeContextOpts extends RequestOpts {
+  /** Working directory of the context */
+  cwd?: string;
+  /** Programming language (default: python) */
+  language?: string;
+}
+
+export interface RunCodeOpts extends RequestOpts {
+  /** Programming language (python, javascript, bash) */
+  language?: string;
+  /** Environment variables for this execution, overriding the sandbox's */
+  envs?: Record<string, string>;
+  /** Code context to run in, from createCodeContext */
+  context?: Context;
+  /** Cancels the execution, interrupting the running code */
+  signal?: AbortSignal;
+  /** Interrupts the running code after this many milliseconds (default: no limit) */
+  timeoutMs?: number;
+  /** Called with each stdout line as it is produced */
+  onStdout?: (output: OutputMessage) => Promise<any> | any;
+  /** Called with each stderr line as it is produced */
+  onStderr?: (output: OutputMessage) => Promise<any> | any;
+  /** Called with each result as it is produced */
+  onResult?: (result: Result) => Promise<any> | any;
+  /** Called with the execution error, if any */
+  onError?: (error: ExecutionError) => Promise<any> | any;
 }
 
 export interface SandboxUrls {
@@ -54,7 +167,7 @@ export interface SandboxUrls {
 }
 
 export interface DynamicSubdomain {
-  /** Format string */
+  /** URL format with {port} and {id} placeholders, e.g. https://{port}-{id}.yourdomain.com */
   format: string;
   /** Example URL */
   example: string;
@@ -74,7 +187,7 @@ export interface SandboxData {
   /** Runtime type */
   runtime: string;
   /** Sandbox status */
-  status: string;
+  status: SandboxState;
   /** Port number */
   port?: number | null;
   /** Current server port */
@@ -111,15 +224,207 @@ export interface InstallResult {
   error?: string;
 }
 
-export interface WriteFileResult {
-  /** Success status */
-  success: boolean;
+export interface EntryInfo extends FileInfo {
+  /** Entry type */
+  type: 'file' | 'dir';
+}
+
+export interface WriteInfo {
+  /** File name */
+  name: string;
   /** File path */
-  filePath: string;
-  /** File size */
-  size: number;
-  /** Error message if failed */
-  error?: string;
+  path: string;
+  /** Entry type */
+  type: 'file';
+  /** File size, if reported by the server */
+  size: number | null;
+}
+
+/** @deprecated Use WriteInfo */
+export type WriteFileResult = WriteInfo;
+
+/** File content: text, binary, or a stream such as a web ReadableStream or Node Readable */
+export type WriteData =
+  | string
+  | ArrayBuffer
+  | ArrayBufferView
+  | Blob
+  | ReadableStream<Uint8Array>
+  | AsyncIterable<Uint8Array | string>;
+
+export interface WriteEntry {
+  /** File path */
+  path: string;
+  /** File content */
+  data: WriteData;
+}
+
+export interface FilesystemReadOpts extends RequestOpts {
+  /** Content format (default: text) */
+  format?: 'text' | 'bytes' | 'blob' | 'stream';
+}
+
+export interface FilesystemListOpts extends RequestOpts {
+  /** How many levels deep to list (default: 1) */
+  depth?: number;
+}
+
+/** Kind of change reported by a directory watch */
+export type FilesystemEventType = 'create' | 'write' | 'remove' | 'rename' | 'chmod';
+
+/** Change to a file or directory inside a watched directory */
+export interface FilesystemEvent {
+  /** Path of the changed entry, relative to the watched directory */
+  name: string;
+  /** Kind of change */
+  type: FilesystemEventType;
+}
+
+export interface WatchOpts {
+  /** Also watch subdirectories (default: false) */
+  recursive?: boolean;
+  /** Called with the error if the watch stops on its own, e.g. the directory was removed */
+  onExit?: (error: SandboxError) => void | Promise<void>;
+  /** Timeout in milliseconds until the event stream is open */
+  requestTimeoutMs?: number;
+}
+
+export interface FileUrlOpts extends RequestOpts {
+  /** Seconds until the URL expires (default: server default) */
+  expiresIn?: number;
+}
+
+/** Progress of a directory transfer */
+export interface TransferProgress {
+  /** Bytes transferred so far: file content read on upload, archive bytes received on download */
+  bytes: number;
+  /** Total bytes, or null if unknown */
+  totalBytes: number | null;
+}
+
+export interface UploadDirOpts extends RequestOpts {
+  /** .gitignore-style patterns, relative to the local directory, e.g. ['node_modules/', '*.log'] */
+  ignore?: string[];
+  /** Called as file content is read */
+  onProgress?: (progress: TransferProgress) => void;
+}
+
+export interface DownloadDirOpts extends RequestOpts {
+  /** Called as the archive arrives */
+  onProgress?: (progress: TransferProgress) => void;
+}
+
+/** Result of a directory transfer */
+export interface DirectoryTransferInfo {
+  /** Destination directory: the sandbox path on upload, the absolute local path on download */
+  path: string;
+  /** Number of files transferred */
+  files: number;
+  /** Bytes of file content transferred */
+  bytes: number;
+}
+
+/** Filesystem operations (equivalent to E2B's Filesystem), available as `sandbox.files` */
+export interface Filesystem {
+  /**
+   * Read a file
+   * @param path - File path
+   * @param opts - Read options
+   */
+  read(path: string, opts?: FilesystemReadOpts & { format?: 'text' }): Promise<string>;
+  read(path: string, opts: FilesystemReadOpts & { format: 'bytes' }): Promise<Uint8Array>;
+  read(path: string, opts: FilesystemReadOpts & { format: 'blob' }): Promise<Blob>;
+  read(path: string, opts: FilesystemReadOpts & { format: 'stream' }): Promise<ReadableStream<Uint8Array>>;
+
+  /**
+   * Write a file. Binary content and streams are uploaded as multipart without buffering.
+   * @param path - File path
+   * @param data - File content
+   * @param opts - Request options
+   */
+  write(path: string, data: WriteData, opts?: RequestOpts): Promise<WriteInfo>;
+
+  /**
+   * Write several files
+   * @param entries - Files to write
+   * @param opts - Request options
+   */
+  write(entries: WriteEntry[], opts?: RequestOpts): Promise<WriteInfo[]>;
+
+  /**
+   * List a directory
+   * @param path - Directory path (default: /)
+   * @param opts - List options
+   */
+  list(path?: string, opts?: FilesystemListOpts): Promise<EntryInfo[]>;
+
+  /**
+   * Get information about a file or directory
+   * @param path - Path
+   * @param opts - Request options
+   * @throws NotFoundError if the path does not exist
+   */
+  getInfo(path: string, opts?: RequestOpts): Promise<EntryInfo>;
+
+  /**
+   * Check whether a file or directory exists
+   * @param path - Path
+   * @param opts - Request options
+   */
+  exists(path: string, opts?: RequestOpts): Promise<boolean>;
+
+  /**
+   * Create a directory, including missing parents
+   * @param path - Directory path
+   * @param opts - Request options
+   * @returns Promise<boolean> True if created, false if it already existed
+   */
+  makeDir(path: string, opts?: RequestOpts): Promise<boolean>;
+
+  /**
+   * Remove a file or directory
+   * @param path - Path
+   * @param opts - Request options
+   */
+  remove(path: string, opts?: RequestOpts): Promise<void>;
+
+  /**
+   * Rename or move a file or directory
+   * @param oldPath - Current path
+   * @param newPath - New path
+   * @param opts - Request options
+   */
+  rename(oldPath: string, newPath: string, opts?: RequestOpts): Promise<EntryInfo>;
+
+  /**
+   * Watch a directory for changes. A dropped event stream is reconnected automatically.
+   * @param path - Directory path
+   * @param onEvent - Called with each change
+   * @param opts - Watch options
+   * @returns Promise<WatchHandle> Resolves once the watch is established
+   */
+  watchDir(
+    path: string,
+    onEvent: (event: FilesystemEvent) => void | Promise<void>,
+    opts?: WatchOpts
+  ): Promise<WatchHandle>;
+
+  /**
+   * Upload a local directory as a single tar.gz archive, extracted into remotePath. Node.js only.
+   * @param localPath - Local directory
+   * @param remotePath - Destination directory in the sandbox
+   * @param opts - Upload options
+   */
+  uploadDir(localPath: string, remotePath: string, opts?: UploadDirOpts): Promise<DirectoryTransferInfo>;
+
+  /**
+   * Download a sandbox directory as a single tar.gz archive and extract it locally. Node.js only.
+   * @param remotePath - Directory in the sandbox
+   * @param localPath - Local destination directory, created if missing
+   * @param opts - Download options
+   * @throws InvalidArgumentError if an archive entry would be written outside localPath
+   */
+  downloadDir(remotePath: string, localPath: string, opts?: DownloadDirOpts): Promise<DirectoryTransferInfo>;
 }
 
 export interface SandboxStatus {
@@ -128,7 +433,7 @@ export interface SandboxStatus {
   /** Sandbox ID */
   sandboxId: string;
   /** Sandbox status */
-  status: string;
+  status: SandboxState;
   /** Runtime type */
   runtime: string;
   /** Port number */
@@ -137,6 +442,256 @@ export interface SandboxStatus {
   createdAt: number;
   /** Last used timestamp */
   lastUsed?: number | null;
+  /** User metadata */
+  metadata?: Record<string, string>;
+  /** Environment variables set on the sandbox */
+  envs?: Record<string, string>;
+  /** When the server will kill the sandbox */
+  endAt?: number | string | null;
+  /** Whether a process was killed for running out of memory */
+  oomKilled?: boolean;
+}
+
+export interface SandboxInfo {
+  /** Sandbox ID */
+  sandboxId: string;
+  /** Sandbox name */
+  name?: string;
+  /** Runtime type */
+  runtime?: string;
+  /** Sandbox status */
+  status?: SandboxState;
+  /** When the sandbox was created */
+  createdAt: Date | null;
+  /** When the sandbox was started */
+  startedAt: Date | null;
+  /** When the server will kill the sandbox */
+  endAt: Date | null;
+  /** User metadata */
+  metadata: Record<string, string>;
+  /** Environment variables set on the sandbox */
+  envs: Record<string, string>;
+}
+
+export interface SandboxQuery {
+  /** Only sandboxes with this runtime */
+  runtime?: string;
+  /** Only sandboxes with this status */
+  status?: SandboxState;
+  /** Only sandboxes whose metadata contains all of these key/values */
+  metadata?: Record<string, string>;
+}
+
+export interface ListSandboxesOptions extends ConnectSandboxOptions {
+  /** Filters */
+  query?: SandboxQuery;
+  /** Maximum sandboxes per page */
+  limit?: number;
+  /** Cursor returned by the previous page */
+  nextToken?: string | null;
+}
+
+export interface SandboxPage {
+  /** Sandboxes on this page */
+  sandboxes: SandboxInfo[];
+  /** Cursor for the next page, or null on the last page */
+  nextToken: string | null;
+}
+
+export interface CommandResult {
+  /** Process ID */
+  pid: number | null;
+  /** Collected stdout */
+  stdout: string;
+  /** Collected stderr */
+  stderr: string;
+  /** Exit code, or null if the command has not exited */
+  exitCode: number | null;
+  /** Error message if the command failed to run */
+  error: string | null;
+}
+
+export interface ProcessInfo {
+  /** Process ID */
+  pid: number;
+  /** Command */
+  cmd: string;
+  /** Working directory */
+  cwd?: string;
+  /** Environment variables */
+  envs: Record<string, string>;
+  /** Tag assigned by the server, if any */
+  tag?: string;
+}
+
+export interface CommandConnectOpts {
+  /** Called with each chunk of stdout */
+  onStdout?: (data: string) => Promise<any> | any;
+  /** Called with each chunk of stderr */
+  onStderr?: (data: string) => Promise<any> | any;
+  /** Timeout for the server to start streaming, in milliseconds */
+  requestTimeoutMs?: number;
+}
+
+export interface CommandStartOpts extends CommandConnectOpts {
+  /** Return a CommandHandle immediately instead of waiting */
+  background?: boolean;
+  /** Working directory */
+  cwd?: string;
+  /** Environment variables */
+  envs?: Record<string, string>;
+  /** User to run the command as */
+  user?: string;
+  /** Kill the command after this many milliseconds */
+  timeoutMs?: number;
+}
+
+/** Run and manage shell commands (equivalent to E2B's Commands), available as `sandbox.commands` */
+export interface Commands {
+  /**
+   * Start a command in the background
+   * @param cmd - Command to run through the shell
+   * @param opts - Command options
+   * @returns Promise<CommandHandle> Handle to the running command
+   */
+  run(cmd: string, opts: CommandStartOpts & { background: true }): Promise<CommandHandle>;
+
+  /**
+   * Run a command and wait for it to finish
+   * @param cmd - Command to run through the shell
+   * @param opts - Command options
+   * @returns Promise<CommandResult> Command result; a non-zero exit code is not thrown
+   */
+  run(cmd: string, opts?: CommandStartOpts & { background?: false }): Promise<CommandResult>;
+
+  /**
+   * Connect to a running command to receive its output
+   * @param pid - Process ID
+   * @param opts - Output callbacks
+   * @returns Promise<CommandHandle> Command handle
+   */
+  connect(pid: number, opts?: CommandConnectOpts): Promise<CommandHandle>;
+
+  /**
+   * List running commands
+   * @param opts - Request options
+   * @returns Promise<ProcessInfo[]> Processes
+   */
+  list(opts?: RequestOpts): Promise<ProcessInfo[]>;
+
+  /**
+   * Kill a running command
+   * @param pid - Process ID
+   * @param opts - Request options
+   * @returns Promise<boolean> True if killed, false if it was not running
+   */
+  kill(pid: number, opts?: RequestOpts): Promise<boolean>;
+
+  /**
+   * Write data to a running command's stdin
+   * @param pid - Process ID
+   * @param data - Data to write
+   * @param opts - Request options
+   */
+  sendStdin(pid: number, data: string, opts?: RequestOpts): Promise<void>;
+}
+
+export interface PtyCreateOpts {
+  /** Columns (default: 80) */
+  cols?: number;
+  /** Rows (default: 24) */
+  rows?: number;
+  /** Working directory */
+  cwd?: string;
+  /** Environment variables */
+  envs?: Record<string, string>;
+  /** Called with each chunk of terminal output */
+  onData?: (data: string) => void;
+  /** Timeout for the session to start, in milliseconds */
+  requestTimeoutMs?: number;
+}
+
+/** Interactive terminal sessions over WebSocket, available as `sandbox.pty` */
+export interface Pty {
+  /**
+   * Start a terminal session
+   * @param opts - Terminal options
+   * @returns Promise<PtyHandle> Handle to the session
+   */
+  create(opts?: PtyCreateOpts): Promise<PtyHandle>;
+}
+
+export interface ExposePortOpts extends RequestOpts {
+  /** Reachable without an access token (default: true) */
+  public?: boolean;
+  /** Traffic the port serves (default: http) */
+  protocol?: 'http' | 'ws' | 'tcp';
+}
+
+/** Port exposed on its own dynamic subdomain */
+export interface PortInfo {
+  /** Port number in the sandbox */
+  port: number;
+  /** Traffic the port serves */
+  protocol: 'http' | 'ws' | 'tcp';
+  /** Reachable without an access token */
+  public: boolean;
+  /** Dynamic subdomain URL (ws:// or wss:// for WebSocket ports) */
+  url: string;
+  /** Path-based URL */
+  pathUrl: string;
+  /** Token required to reach a non-public port, sent as the X-Access-Token header or ?token= query */
+  accessToken: string | null;
+}
+
+/** Expose sandbox ports on their own dynamic subdomains, available as `sandbox.ports` */
+export interface Ports {
+  /**
+   * Expose a port
+   * @param port - Port number in the sandbox
+   * @param opts - Port options
+   */
+  expose(port: number, opts?: ExposePortOpts): Promise<PortInfo>;
+
+  /**
+   * Stop exposing a port
+   * @param port - Port number
+   * @param opts - Request options
+   * @returns Promise<boolean> True if unexposed, false if it was not exposed
+   */
+  unexpose(port: number, opts?: RequestOpts): Promise<boolean>;
+
+  /**
+   * List exposed ports
+   * @param opts - Request options
+   */
+  list(opts?: RequestOpts): Promise<PortInfo[]>;
+}
+
+export interface WaitOpts {
+  /** Give up after this many milliseconds (default: 60000) */
+  timeoutMs?: number;
+  /** Delay between checks in milliseconds (default: 500) */
+  intervalMs?: number;
+  /** Request headers, e.g. X-Access-Token for non-public ports */
+  headers?: Record<string, string>;
+  /** Stops waiting */
+  signal?: AbortSignal;
+}
+
+export interface WaitForUrlOpts extends WaitOpts {
+  /** Status or statuses to wait for (default: 200) */
+  expectStatus?: number | number[];
+  /** Port whose URL the path is on (default: the sandbox's own URL) */
+  port?: number;
+}
+
+/** URL of an exposed port */
+export interface SandboxHost {
+  /** Port number */
+  port: number;
+  /** URL of the port */
+  url: string;
 }
 
 export interface SubdomainConfig {
@@ -171,13 +726,68 @@ export declare class Sandbox {
   dynamicSubdomain?: DynamicSubdomain;
   /** Available URLs */
   urls?: SandboxUrls;
+  /** Shell commands */
+  readonly commands: Commands;
+  /** Interactive terminal sessions */
+  readonly pty: Pty;
+  /** Filesystem operations */
+  readonly files: Filesystem;
+  /** Exposed ports */
+  readonly ports: Ports;
+
+  /**
+   * Listen for a lifecycle event. The first listener starts following the sandbox
+   * through the server's event stream, polling status if the stream is unavailable.
+   * @param event - Event name
+   * @param handler - Called with the event payload
+   */
+  on<E extends keyof SandboxEvents>(event: E, handler: (payload: SandboxEvents[E]) => void): this;
+
+  /**
+   * Listen for a lifecycle event once
+   * @param event - Event name
+   * @param handler - Called with the event payload
+   */
+  once<E extends keyof SandboxEvents>(event: E, handler: (payload: SandboxEvents[E]) => void): this;
+
+  /**
+   * Stop listening for a lifecycle event. Removing the last listener stops following the sandbox.
+   * @param event - Event name
+   * @param handler - Handler passed to on() or once()
+   */
+  off<E extends keyof SandboxEvents>(event: E, handler: (payload: SandboxEvents[E]) => void): this;
 
   /**
    * Create a new sandbox
    * @param options - Sandbox options
    * @returns Promise<Sandbox> New sandbox instance
    */
-  static create(options?: SandboxOptions): Promise<Sandbox>;
+  static create(options?: CreateSandboxOptions): Promise<Sandbox>;
+
+  /**
+   * Connect to an existing sandbox (equivalent to E2B's Sandbox.connect)
+   * @param sandboxId - Sandbox ID
+   * @param options - Connection options
+   * @returns Promise<Sandbox> Sandbox instance
+   * @throws NotFoundError if the sandbox no longer exists
+   */
+  static connect(sandboxId: string, options?: ConnectSandboxOptions): Promise<Sandbox>;
+
+  /**
+   * Resume a paused sandbox (equivalent to E2B's betaResume); files, memory and processes are restored
+   * @param sandboxId - Sandbox ID
+   * @param options - Connection options plus a new timeout
+   * @returns Promise<Sandbox> Sandbox instance
+   * @throws NotFoundError if the sandbox does not exist
+   */
+  static resume(sandboxId: string, options?: ResumeSandboxOptions): Promise<Sandbox>;
+
+  /**
+   * List sandboxes, optionally filtered, one page at a time
+   * @param options - Connection options plus list parameters
+   * @returns Promise<SandboxPage> Page of sandboxes and the next cursor
+   */
+  static list(options?: ListSandboxesOptions): Promise<SandboxPage>;
 
   /**
    * Execute code in the sandbox
@@ -188,12 +798,77 @@ export declare class Sandbox {
   runCode(code: string, language?: string): Promise<ExecutionResult>;
 
   /**
-   * Get sandbox host URL (equivalent to E2B's getHost)
-   * @param port - Port number (optional)
+   * Execute code in the sandbox, streaming output to callbacks.
+   * When `signal` aborts or `timeoutMs` elapses, the running code is interrupted
+   * and the result's error is named TimeoutError or CancelledError.
+   * @param code - Code to execute
+   * @param opts - Language, streaming callbacks, cancellation and timeout
+   * @returns Promise<ExecutionResult> Execution result
+   */
+  runCode(code: string, opts?: RunCodeOpts): Promise<ExecutionResult>;
+
+  /**
+   * Create an isolated code context (an independent REPL session)
+   * @param opts - Context options
+   * @returns Promise<Context> Context to pass to runCode
+   */
+  createCodeContext(opts?: CreateCodeContextOpts): Promise<Context>;
+
+  /**
+   * List the sandbox's code contexts
+   * @param opts - Request options
+   * @returns Promise<Context[]> Contexts
+   */
+  listCodeContexts(opts?: RequestOpts): Promise<Context[]>;
+
+  /**
+   * Restart a code context, clearing its state
+   * @param context - Context or context ID
+   * @param opts - Request options
+   */
+  restartCodeContext(context: Context | string, opts?: RequestOpts): Promise<void>;
+
+  /**
+   * Remove a code context
+   * @param context - Context or context ID
+   * @param opts - Request options
+   */
+  removeCodeContext(context: Context | string, opts?: RequestOpts): Promise<void>;
+
+  /**
+   * Get the URL of a port in the sandbox (equivalent to E2B's getHost).
+   * Built from the dynamic subdomain format, falling back to path-based /{port}-{id}/ routing.
+   * @param port - Port number (optional; defaults to the sandbox's own URL)
    * @returns string Host URL
    */
   getHost(port?: number): string;
 
+  /**
+   * Get the URLs of all exposed ports (see ports.list for full details)
+   * @param opts - Request options
+   * @returns Promise<SandboxHost[]> One entry per exposed port
+   */
+  getHosts(opts?: RequestOpts): Promise<SandboxHost[]>;
+
+  /**
+   * Wait until something listens on a port inside the sandbox and its URL answers
+   * through the dynamic subdomain proxy with anything but 502/503/504
+   * @param port - Port number
+   * @param opts - Wait options
+   * @returns Promise<string> URL of the port
+   * @throws WaitTimeoutError if the port is not ready in time
+   */
+  waitForPort(port: number, opts?: WaitOpts): Promise<string>;
+
+  /**
+   * Wait until a URL of the sandbox answers with the expected status
+   * @param path - Path on the sandbox URL, or an absolute URL
+   * @param opts - Wait options
+   * @returns Promise<string> The URL
+   * @throws WaitTimeoutError if the status is not seen in time
+   */
+  waitForUrl(path: string, opts?: WaitForUrlOpts): Promise<string>;
+
   /**
    * Get dynamic subdomain URL
    * @returns string | null Dynamic subdomain URL or null
@@ -207,76 +882,172 @@ export declare class Sandbox {
   getPathUrl(): string | null;
 
   /**
-   * Set sandbox timeout
+   * Set sandbox timeout (equivalent to E2B's setTimeout).
+   * The server kills the sandbox `timeoutMs` from now, replacing any earlier deadline.
    * @param timeoutMs - Timeout in milliseconds
+   * @param opts - Request options
    */
-  setTimeout(timeoutMs: number): void;
+  setTimeout(timeoutMs: number, opts?: RequestOpts): Promise<void>;
 
   /**
-   * Extend sandbox timeout
+   * Extend sandbox timeout by pushing the server's deadline back; never shortens it
    * @param extensionMs - Extension in milliseconds
+   * @param opts - Request options
    */
-  extendTimeout(extensionMs: number): Promise<void>;
+  extendTimeout(extensionMs: number, opts?: RequestOpts): Promise<void>;
+
+  /**
+   * Get sandbox information, including when the server will kill it
+   * @param opts - Request options
+   * @returns Promise<SandboxInfo> Sandbox info
+   */
+  getInfo(opts?: RequestOpts): Promise<SandboxInfo>;
 
   /**
    * Install packages in the sandbox
    * @param packages - Package name(s) to install
    * @param manager - Package manager (pip, npm, yarn)
+   * @param opts - Request options
    * @returns Promise<InstallResult> Installation result
    */
-  install(packages: string | string[], manager?: string): Promise<InstallResult>;
+  install(packages: string | string[], manager?: string, opts?: RequestOpts): Promise<InstallResult>;
 
   /**
-   * Write file to sandbox
+   * Write file to sandbox (alias of files.write)
    * @param filePath - File path
    * @param content - File content
-   * @returns Promise<WriteFileResult> Write result
+   * @param opts - Request options
+   * @returns Promise<WriteInfo> Write info
    */
-  writeFile(filePath: string, content: string): Promise<WriteFileResult>;
+  writeFile(filePath: string, content: WriteData, opts?: RequestOpts): Promise<WriteInfo>;
 
   /**
-   * Read file from sandbox
+   * Read file from sandbox (alias of files.read)
    * @param filePath - File path
+   * @param opts - Read options
    * @returns Promise<string> File content
    */
-  readFile(filePath: string): Promise<string>;
+  readFile(filePath: string, opts?: FilesystemReadOpts & { format?: 'text' }): Promise<string>;
+  readFile(filePath: string, opts: FilesystemReadOpts & { format: 'bytes' }): Promise<Uint8Array>;
+  readFile(filePath: string, opts: FilesystemReadOpts & { format: 'blob' }): Promise<Blob>;
+  readFile(filePath: string, opts: FilesystemReadOpts & { format: 'stream' }): Promise<ReadableStream<Uint8Array>>;
 
   /**
-   * List files in sandbox
+   * List files in sandbox (alias of files.list)
    * @param directory - Directory path (optional)
-   * @returns Promise<FileInfo[]> File list
+   * @param opts - List options
+   * @returns Promise<EntryInfo[]> File list
+   */
+  listFiles(directory?: string, opts?: FilesystemListOpts): Promise<EntryInfo[]>;
+
+  /**
+   * Get a time-limited signed URL for uploading a file; POST multipart form data with the content as `file`
+   * @param filePath - Destination file path
+   * @param opts - URL options
+   * @returns Promise<string> URL usable without an API key
+   */
+  uploadUrl(filePath: string, opts?: FileUrlOpts): Promise<string>;
+
+  /**
+   * Get a time-limited signed URL for downloading a file
+   * @param filePath - File path
+   * @param opts - URL options
+   * @returns Promise<string> URL usable without an API key
    */
-  listFiles(directory?: string): Promise<FileInfo[]>;
+  downloadUrl(filePath: string, opts?: FileUrlOpts): Promise<string>;
 
   /**
    * Kill/terminate the sandbox
+   * @param opts - Request options
    * @returns Promise<object> Kill result
    */
-  kill(): Promise<object>;
+  kill(opts?: RequestOpts): Promise<object>;
+
+  /**
+   * Pause the sandbox (equivalent to E2B's betaPause). Its filesystem and memory are saved
+   * and it stops consuming compute until Sandbox.resume(sandboxId).
+   * @param opts - Request options
+   * @returns Promise<boolean> True if paused, false if it was already paused
+   */
+  pause(opts?: RequestOpts): Promise<boolean>;
 
   /**
    * Get sandbox status
+   * @param opts - Request options
    * @returns Promise<SandboxStatus> Sandbox status
    */
-  getStatus(): Promise<SandboxStatus>;
+  getStatus(opts?: RequestOpts): Promise<SandboxStatus>;
 
   /**
    * Get dynamic subdomain configuration
+   * @param opts - Request options
    * @returns Promise<SubdomainConfig> Subdomain configuration
    */
-  getSubdomainConfig(): Promise<SubdomainConfig>;
+  getSubdomainConfig(opts?: RequestOpts): Promise<SubdomainConfig>;
+}
+
+export declare class Result {
+  /** Plain text representation */
+  readonly text?: string;
+  /** HTML representation */
+  readonly html?: string;
+  /** Markdown representation */
+  readonly markdown?: string;
+  /** SVG representation */
+  readonly svg?: string;
+  /** Base64 encoded PNG image */
+  readonly png?: string;
+  /** Base64 encoded JPEG image */
+  readonly jpeg?: string;
+  /** Base64 encoded PDF document */
+  readonly pdf?: string;
+  /** LaTeX representation */
+  readonly latex?: string;
+  /** JSON representation */
+  readonly json?: Record<string, any>;
+  /** JavaScript representation */
+  readonly javascript?: string;
+  /** Tabular data representation */
+  readonly data?: Record<string, any>;
+  /** Extracted chart data */
+  readonly chart?: Chart;
+  /** Whether this is the value of the last expression */
+  readonly isMainResult: boolean;
+  /** Formats not covered by the fields above */
+  readonly extra: Record<string, any>;
+
+  constructor(data?: Record<string, any>);
+
+  /**
+   * List the formats available in this result
+   * @returns string[] Format names, e.g. ['png', 'html']
+   */
+  formats(): string[];
+}
+
+export declare class ExecutionError {
+  /** Exception class name, e.g. ZeroDivisionError; TimeoutError or CancelledError for stopped executions */
+  readonly name: string;
+  /** Exception message */
+  readonly value: string;
+  /** Formatted traceback */
+  readonly traceback: string;
+
+  constructor(name: string, value: string, traceback: string);
 }
 
 export declare class ExecutionResult {
-  /** Output text from code execution */
+  /** Text of the main result, or the plain output text */
   readonly text: string;
+  /** Rich results (plots, tables, HTML, ...) */
+  readonly results: Result[];
   /** Execution logs */
   readonly logs: {
     stdout: string[];
     stderr: string[];
   };
-  /** Error message if execution failed */
-  readonly error: string | null;
+  /** Exception raised by the executed code, if any */
+  readonly error: ExecutionError | null;
   /** Exit code */
   readonly exitCode: number;
   /** Execution time in milliseconds */
@@ -284,12 +1055,144 @@ export declare class ExecutionResult {
 
   constructor(data: {
     text?: string;
+    results?: Array<Result | Record<string, any>>;
     logs?: { stdout: string[]; stderr: string[] };
-    error?: string | null;
+    error?: string | ExecutionError | { name: string; value: string; traceback: string } | null;
     exitCode?: number;
     executionTime?: number;
   });
 }
 
+/** Handle to a command running in the sandbox (equivalent to E2B's CommandHandle) */
+export declare class CommandHandle {
+  /** Process ID */
+  readonly pid: number;
+  /** Stdout received so far */
+  readonly stdout: string;
+  /** Stderr received so far */
+  readonly stderr: string;
+  /** Exit code, or null while running */
+  readonly exitCode: number | null;
+  /** Error message if the command failed to run */
+  readonly error: string | null;
+
+  /**
+   * Wait for the command to finish
+   * @returns Promise<CommandResult> Command result; a non-zero exit code is not thrown
+   */
+  wait(): Promise<CommandResult>;
+
+  /**
+   * Kill the command
+   * @returns Promise<boolean> True if killed, false if it was not running
+   */
+  kill(): Promise<boolean>;
+
+  /**
+   * Write data to the command's stdin
+   * @param data - Data to write
+   */
+  sendStdin(data: string): Promise<void>;
+
+  /**
+   * Stop receiving output without killing the command
+   */
+  disconnect(): void;
+}
+
+/** Handle to an interactive terminal session in the sandbox */
+export declare class PtyHandle {
+  /** Process ID of the terminal's shell */
+  readonly pid: number;
+  /** Exit code, or null while running */
+  readonly exitCode: number | null;
+
+  /**
+   * Write input to the terminal, e.g. keystrokes
+   * @param data - Input data
+   */
+  sendInput(data: string | Uint8Array): void;
+
+  /**
+   * Resize the terminal
+   * @param size - New size
+   */
+  resize(size: { cols: number; rows: number }): void;
+
+  /**
+   * Kill the terminal process
+   * @returns Promise resolving with the exit code once the process has exited;
+   *   rejects with a SandboxError if the session is already closed
+   */
+  kill(): Promise<{ exitCode: number | null }>;
+
+  /**
+   * Wait for the terminal process to exit
+   */
+  wait(): Promise<{ exitCode: number | null }>;
+
+  /**
+   * Close the connection; the server ends the session
+   */
+  disconnect(): void;
+}
+
+/** Handle to a directory watch (equivalent to E2B's WatchHandle) */
+export declare class WatchHandle {
+  /**
+   * Stop watching
+   */
+  stop(): void;
+}
+
+export interface SandboxErrorDetails {
+  /** HTTP status code, if a response was received */
+  status?: number | null;
+  /** Parsed response body, if any */
+  body?: any;
+  /** Request path */
+  path?: string | null;
+}
+
+/** Base class for errors raised when a request to the server fails */
+export declare class SandboxError extends Error {
+  /** HTTP status code, if a response was received */
+  readonly status: number | null;
+  /** Parsed response body, if any */
+  readonly body: any;
+  /** Request path */
+  readonly path: string | null;
+
+  constructor(message: string, details?: SandboxErrorDetails);
+}
+
+/** Raised on 401 and 403 responses */
+export declare class AuthenticationError extends SandboxError {}
+
+/** Raised on 404 responses, e.g. when the sandbox no longer exists */
+export declare class NotFoundError extends SandboxError {}
+
+/** Raised before any request is sent when an argument is invalid, e.g. a path escaping the sandbox root */
+export declare class InvalidArgumentError extends SandboxError {}
+
+/** Raised on 408 and 504 responses, and when a request exceeds requestTimeoutMs */
+export declare class TimeoutError extends SandboxError {}
+
+/** Raised when waitForPort or waitForUrl gives up */
+export declare class WaitTimeoutError extends TimeoutError {
+  /** Last HTTP status seen, or null if nothing answered */
+  readonly lastStatus: number | null;
+
+  constructor(message: string, details?: SandboxErrorDetails & { lastStatus?: number | null });
+}
+
+/** Raised on 429 responses */
+export declare class RateLimitError extends SandboxError {
+  /** Delay requested by the server's Retry-After header, in milliseconds */
+  readonly retryAfterMs: number | null;
+
+  constructor(message: string, details?: SandboxErrorDetails & { retryAfterMs?: number | null });
+}
+
 // Default export
 export default Sandbox;
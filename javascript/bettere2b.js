@@ -13,130 +13,2995 @@
  * console.log(result.text) // outputs 2
  */
 
+/**
+ * Generate a random identifier, e.g. for correlating an execution with its interrupt
+ * @returns {string} Random ID
+ */
+function generateId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Read a Server-Sent Events response body and invoke a callback per event
+ * @param {Response} response - Fetch response with an SSE body
+ * @param {Function} onEvent - Called with each parsed `data:` payload
+ * @returns {Promise<void>}
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      // Keep the trailing partial line until the next chunk completes it
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+
+        let data;
+        try {
+          data = JSON.parse(line.slice(6)); // Remove 'data: ' prefix
+        } catch (e) {
+          continue;
+        }
+        await onEvent(data);
+      }
+    }
+  } finally {
+    // Stopping early (a throwing onEvent) must close the connection, not just unlock it
+    if (!finished) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+/**
+ * MIME types of a result bundle mapped to their Result field names
+ */
+const MIME_FORMATS = {
+  'text/plain': 'text',
+  'text/html': 'html',
+  'text/markdown': 'markdown',
+  'image/svg+xml': 'svg',
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'application/pdf': 'pdf',
+  'text/latex': 'latex',
+  'application/json': 'json',
+  'application/javascript': 'javascript'
+};
+
+/**
+ * A single rich output of an execution (equivalent to E2B's Result).
+ * Binary formats (png, jpeg, pdf) are base64 encoded.
+ */
+class Result {
+  constructor(data = {}) {
+    const bundle = {};
+    for (const [key, value] of Object.entries(data)) {
+      bundle[MIME_FORMATS[key] || key] = value;
+    }
+
+    const {
+      text, html, markdown, svg, png, jpeg, pdf, latex, json, javascript,
+      data: dataValue, chart, isMainResult, is_main_result, type, ...extra
+    } = bundle;
+
+    this.text = text;
+    this.html = html;
+    this.markdown = markdown;
+    this.svg = svg;
+    this.png = png;
+    this.jpeg = jpeg;
+    this.pdf = pdf;
+    this.latex = latex;
+    this.json = json;
+    this.javascript = javascript;
+    this.data = dataValue;
+    this.chart = chart;
+    this.isMainResult = Boolean(isMainResult ?? is_main_result);
+    this.extra = extra;
+  }
+
+  /**
+   * List the formats available in this result
+   * @returns {Array<string>} Format names, e.g. ['png', 'html']
+   */
+  formats() {
+    const formats = [];
+    for (const format of ['html', 'markdown', 'svg', 'png', 'jpeg', 'pdf', 'latex', 'json', 'javascript', 'data', 'chart']) {
+      if (this[format] !== undefined && this[format] !== null) {
+        formats.push(format);
+      }
+    }
+    formats.push(...Object.keys(this.extra));
+    return formats;
+  }
+}
+
+/**
+ * An exception raised by user code during execution (equivalent to E2B's ExecutionError).
+ * Returned in ExecutionResult.error rather than thrown.
+ */
+class ExecutionError {
+  /**
+   * @param {string} name - Exception class name, e.g. ZeroDivisionError
+   * @param {string} value - Exception message
+   * @param {string} traceback - Formatted traceback
+   */
+  constructor(name, value, traceback) {
+    this.name = name;
+    this.value = value;
+    this.traceback = traceback;
+  }
+}
+
+/**
+ * Normalise an execution error reported by the server into an ExecutionError
+ * @param {string|Object} error - Error string, or object with name/value/traceback
+ * @returns {ExecutionError|null} Structured error, or null if there is none
+ */
+function toExecutionError(error) {
+  if (!error) return null;
+  if (error instanceof ExecutionError) return error;
+
+  if (typeof error === 'object') {
+    const traceback = Array.isArray(error.traceback) ? error.traceback.join('\n') : error.traceback;
+    return new ExecutionError(
+      error.name || error.ename || 'Error',
+      error.value ?? error.evalue ?? error.message ?? '',
+      traceback || ''
+    );
+  }
+
+  // Plain strings are tracebacks whose last line reads "Name: value"
+  const traceback = String(error);
+  const lines = traceback.trim().split('\n');
+  const lastLine = lines[lines.length - 1].trim();
+  const match = lastLine.match(/^([A-Za-z_][\w.]*):\s?(.*)$/);
+
+  return match
+    ? new ExecutionError(match[1], match[2], traceback)
+    : new ExecutionError('Error', lastLine, traceback);
+}
+
+/**
+ * Base class for errors raised by the SDK when a request to the server fails
+ */
+class SandboxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Request details
+   * @param {number} details.status - HTTP status code, if a response was received
+   * @param {*} details.body - Parsed response body, if any
+   * @param {string} details.path - Request path
+   */
+  constructor(message, { status = null, body = null, path = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.path = path;
+  }
+}
+
+/** Raised on 401 and 403 responses */
+class AuthenticationError extends SandboxError {}
+
+/** Raised on 404 responses, e.g. when the sandbox no longer exists */
+class NotFoundError extends SandboxError {}
+
+/** Raised before any request is sent when an argument is invalid, e.g. a path escaping the sandbox root */
+class InvalidArgumentError extends SandboxError {}
+
+/** Raised on 408 and 504 responses, and when a request exceeds requestTimeoutMs */
+class TimeoutError extends SandboxError {}
+
+/** Raised when waitForPort or waitForUrl gives up; carries the last HTTP status received, if any */
+class WaitTimeoutError extends TimeoutError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.lastStatus = details.lastStatus ?? null;
+  }
+}
+
+/** Raised on 429 responses */
+class RateLimitError extends SandboxError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build a typed error from a failed response
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @param {string} message - Error message prefix, e.g. "Failed to create sandbox"
+ * @param {string} path - Request path
+ * @returns {Promise<SandboxError>} Error matching the response status
+ */
+async function errorFromResponse(response, message, path) {
+  let body = null;
+  try {
+    const text = await response.text();
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      body = text || null;
+    }
+  } catch (e) {
+    // Body unavailable; fall back to the status text
+  }
+
+  const reason = (body && typeof body === 'object' && (body.error || body.message)) || response.statusText;
+  const details = { status: response.status, body, path };
+  const fullMessage = `${message}: ${reason}`;
+
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new AuthenticationError(fullMessage, details);
+    case 404:
+      return new NotFoundError(fullMessage, details);
+    case 408:
+    case 504:
+      return new TimeoutError(fullMessage, details);
+    case 429:
+      return new RateLimitError(fullMessage, {
+        ...details,
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    default:
+      return new SandboxError(fullMessage, details);
+  }
+}
+
+/** Levels every logger exposes */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Build a logger from SandboxOptions. Silent unless `logger` is given;
+ * `debug: true` without a logger falls back to the console.
+ * @param {Object} options - Sandbox options
+ * @returns {Object} Logger with debug, info, warn and error methods
+ */
+function createLogger(options = {}) {
+  const target = options.logger || (options.debug ? console : {});
+  const logger = {};
+  for (const level of LOG_LEVELS) {
+    logger[level] = typeof target[level] === 'function' ? target[level].bind(target) : () => {};
+  }
+  return logger;
+}
+
+/**
+ * Transport defaults, overridable through SandboxOptions
+ */
+const DEFAULT_SANDBOX_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_REQUEST_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const DEFAULT_SANDBOX_CWD = '/home/user';
+const DEFAULT_WAIT_TIMEOUT_MS = 60 * 1000;
+const DEFAULT_WAIT_INTERVAL_MS = 500;
+const DEFAULT_STATUS_POLL_INTERVAL_MS = 5 * 1000;
+const DEFAULT_EXPIRING_THRESHOLD_MS = 60 * 1000;
+
+/** Events a Sandbox emits */
+const SANDBOX_EVENTS = ['status', 'expiring', 'killed', 'oom'];
+
+/** Statuses a proxy returns while the server behind it is not reachable yet */
+const PROXY_UNAVAILABLE_STATUSES = [502, 503, 504];
+
+/** Methods that are safe to repeat after a network failure */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+/** Statuses worth retrying for idempotent requests */
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+/** Statuses where the server did not process the request, so any method may be retried */
+const REJECTED_STATUSES = [429, 503];
+
+/**
+ * Resolve after a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason || new Error('The operation was aborted'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('The operation was aborted'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Exponential backoff delay for a retry attempt
+ * @param {number} baseMs - Delay before the first retry
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(baseMs, attempt) {
+  return Math.min(baseMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Call check until it returns true, waiting intervalMs between attempts
+ * @param {Function} check - Called with the deadline timestamp; resolves to whether to stop
+ * @param {Object} opts - timeoutMs, intervalMs, signal and onTimeout (returns the error to throw)
+ * @returns {Promise<void>}
+ */
+async function pollUntil(check, { timeoutMs, intervalMs, signal, onTimeout }) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check(deadline))) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= intervalMs) throw onTimeout();
+    await sleep(intervalMs, signal);
+  }
+}
+
+/**
+ * Request a URL once and report its status
+ * @param {string} url - URL to request
+ * @param {Object} opts - headers, signal and timeoutMs for this attempt
+ * @returns {Promise<number|null>} HTTP status, or null if the request failed
+ */
+async function probeUrl(url, { headers, signal, timeoutMs }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(onAbort, Math.max(timeoutMs, 1));
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { headers, signal: controller.signal });
+    if (response.body) await response.body.cancel();
+    return response.status;
+  } catch (error) {
+    if (signal && signal.aborted) throw signal.reason || error;
+    return null;
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Read a response body in the requested format
+ * @param {Response} response - Fetch response
+ * @param {string} responseType - 'json', 'text', 'bytes' or 'blob'
+ * @returns {Promise<*>} Parsed body; empty JSON bodies (e.g. 204 No Content) parse to null
+ */
+async function readResponseBody(response, responseType) {
+  switch (responseType) {
+    case 'text':
+      return response.text();
+    case 'bytes':
+      return new Uint8Array(await response.arrayBuffer());
+    case 'blob':
+      return response.blob();
+    default: {
+      const text = await response.text();
+      return text ? JSON.parse(text) : null;
+    }
+  }
+}
+
+/**
+ * Send a request to the server with timeouts and retries.
+ *
+ * Idempotent requests are retried with exponential backoff on network errors,
+ * timeouts and 408/429/502/503/504. Other requests are only retried on 429 and
+ * 503, where the server did not process them. Retry-After is honoured up to
+ * MAX_RETRY_DELAY_MS; a longer one than requestTimeoutMs fails the request instead.
+ *
+ * @param {Object} config - Connection settings (serverUrl, apiKey, requestTimeoutMs, maxRetries, retryDelayMs, logger, debug)
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path, starting with /
+ * @param {Object} opts - Request options
+ * @param {*} opts.json - JSON request body
+ * @param {*} opts.body - Raw request body, sent as is; ReadableStream bodies are streamed
+ * @param {Object} opts.headers - Extra request headers
+ * @param {AbortSignal} opts.signal - Aborts the request
+ * @param {number} opts.requestTimeoutMs - Overrides config.requestTimeoutMs (0 disables)
+ * @param {string} opts.responseType - 'json' (default), 'text', 'bytes', 'blob' or 'stream' (body left unread)
+ * @param {string} opts.errorMessage - Prefix for errors, e.g. "Failed to create sandbox"
+ * @param {number} opts.maxRetries - Overrides config.maxRetries, e.g. 0 for bodies that cannot be resent
+ * @returns {Promise<{response: Response, data: *}>} Response and parsed body
+ */
+async function sendRequest(config, method, path, opts = {}) {
+  const {
+    json,
+    body,
+    headers = {},
+    signal,
+    requestTimeoutMs = config.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS,
+    responseType = 'json',
+    errorMessage = 'Request failed',
+    maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES
+  } = opts;
+  const retryDelayMs = config.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  const logger = config.logger || createLogger(config);
+  // Only the method, path, status and latency are logged, never headers or bodies
+  const logRequest = (startedAt, outcome) => {
+    if (config.debug) logger.debug(`${method} ${path} ${outcome} (${Date.now() - startedAt}ms)`);
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    let timedOut = false;
+    let timer = null;
+
+    if (signal) {
+      if (signal.aborted) throw signal.reason || new Error('The operation was aborted');
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (requestTimeoutMs) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, requestTimeoutMs);
+    }
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    let response;
+    const startedAt = Date.now();
+    try {
+      response = await fetch(`${config.serverUrl}${path}`, {
+        method,
+        headers: {
+          ...(json !== undefined && { 'Content-Type': 'application/json' }),
+          ...(config.apiKey && { 'Authorization': `Bearer ${config.apiKey}` }),
+          ...headers
+        },
+        body: json !== undefined ? JSON.stringify(json) : body,
+        // Required by fetch to send a ReadableStream body
+        ...(body && typeof body.getReader === 'function' && { duplex: 'half' }),
+        signal: controller.signal
+      });
+      logRequest(startedAt, response.status);
+
+      if (response.ok) {
+        if (responseType === 'stream') {
+          // Streams outlive the request timeout; only the caller's signal applies
+          clearTimeout(timer);
+          return { response, data: undefined };
+        }
+
+        const data = await readResponseBody(response, responseType);
+        cleanup();
+        return { response, data };
+      }
+    } catch (caught) {
+      cleanup();
+      if (!response) logRequest(startedAt, timedOut ? 'timed out' : 'failed');
+      if (signal && signal.aborted) throw signal.reason || caught;
+
+      const error = timedOut
+        ? new TimeoutError(`${errorMessage}: request timed out after ${requestTimeoutMs}ms`, { path })
+        : new SandboxError(`${errorMessage}: ${caught.message}`, { path });
+      if (!timedOut) error.cause = caught;
+
+      // A non-idempotent request that failed in flight may already have been applied
+      if (!idempotent || attempt >= maxRetries) throw error;
+
+      await sleep(backoffDelay(retryDelayMs, attempt), signal);
+      continue;
+    }
+
+    const error = await errorFromResponse(response, errorMessage, path);
+    cleanup();
+
+    const retryable = idempotent
+      ? RETRYABLE_STATUSES.includes(response.status)
+      : REJECTED_STATUSES.includes(response.status);
+    if (!retryable || attempt >= maxRetries) throw error;
+
+    // Give up rather than wait out a Retry-After longer than the request is allowed to take
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    if (retryAfterMs != null && requestTimeoutMs && retryAfterMs > requestTimeoutMs) throw error;
+    await sleep(retryAfterMs != null ? Math.min(retryAfterMs, MAX_RETRY_DELAY_MS) : backoffDelay(retryDelayMs, attempt), signal);
+  }
+}
+
+/**
+ * Normalise a sandbox record from the server into a SandboxInfo object
+ * @param {Object} data - Sandbox record, either bare or wrapped in `sandbox`
+ * @returns {Object} Sandbox info with Date timestamps
+ */
+function toSandboxInfo(data) {
+  const sandbox = data.sandbox || data;
+  const toDate = (value) => value != null ? new Date(value) : null;
+
+  return {
+    sandboxId: sandbox.sandboxId ?? sandbox.id,
+    name: sandbox.name,
+    runtime: sandbox.runtime,
+    status: sandbox.status,
+    createdAt: toDate(sandbox.createdAt),
+    startedAt: toDate(sandbox.startedAt ?? sandbox.createdAt),
+    endAt: toDate(sandbox.endAt ?? sandbox.expiresAt),
+    metadata: sandbox.metadata || {},
+    envs: sandbox.envs || {}
+  };
+}
+
+/**
+ * Check a SandboxInfo against a Sandbox.list query
+ * @param {Object} info - Sandbox info
+ * @param {Object} query - Filters (runtime, status, metadata)
+ * @returns {boolean} Whether every given filter matches
+ */
+function matchesQuery(info, query) {
+  if (query.runtime && info.runtime !== query.runtime) return false;
+  if (query.status && info.status !== query.status) return false;
+
+  return Object.entries(query.metadata || {}).every(([key, value]) => info.metadata[key] === value);
+}
+
+/**
+ * Normalise a code context record from the server
+ * @param {Object} data - Context record
+ * @returns {Object} Context (id, language, cwd)
+ */
+function toCodeContext(data) {
+  return {
+    id: data.id ?? data.contextId,
+    language: data.language,
+    cwd: data.cwd
+  };
+}
+
 class ExecutionResult {
   constructor(data) {
-    this.text = data.text || '';
+    this.results = (data.results || []).map((result) => result instanceof Result ? result : new Result(result));
+    const mainResult = this.results.find((result) => result.isMainResult);
+
+    this.text = (mainResult && mainResult.text) || data.text || '';
     this.logs = data.logs || { stdout: [], stderr: [] };
-    this.error = data.error || null;
+    this.error = toExecutionError(data.error);
     this.exitCode = data.exitCode || 0;
     this.executionTime = data.executionTime || 0;
   }
 }
 
+/**
+ * Handle to a command running in the sandbox (equivalent to E2B's CommandHandle)
+ */
+class CommandHandle {
+  /**
+   * @param {Commands} commands - Commands namespace of the owning sandbox
+   * @param {Object} callbacks - onStdout and onStderr, called with each chunk of output
+   */
+  constructor(commands, callbacks = {}) {
+    this._commands = commands;
+    this._callbacks = callbacks;
+    this._controller = new AbortController();
+    this._finished = null;
+    this.pid = null;
+    this.stdout = '';
+    this.stderr = '';
+    this.exitCode = null;
+    this.error = null;
+  }
+
+  /**
+   * Consume the command's event stream in the background
+   * @param {Response} response - SSE response for the command
+   * @returns {Promise<void>} Resolves once the pid is known
+   */
+  _consume(response) {
+    let markStarted;
+    let failStart;
+    const started = new Promise((resolve, reject) => {
+      markStarted = resolve;
+      failStart = reject;
+    });
+    if (this.pid !== null) markStarted();
+
+    this._finished = readEventStream(response, async (data) => {
+      switch (data.type) {
+        case 'start':
+          this.pid = data.pid;
+          markStarted();
+          break;
+        case 'output': {
+          const isStderr = data.stream === 'stderr';
+          const chunk = typeof data.data === 'string' ? data.data : String(data.data ?? '');
+          this[isStderr ? 'stderr' : 'stdout'] += chunk;
+          const callback = isStderr ? this._callbacks.onStderr : this._callbacks.onStdout;
+          if (callback) await callback(chunk);
+          break;
+        }
+        case 'end':
+          this.exitCode = data.exitCode ?? null;
+          this.error = data.error || null;
+          break;
+      }
+    }).catch((error) => {
+      // disconnect() aborts the stream on purpose
+      if (!this._controller.signal.aborted) throw error;
+    });
+
+    // No-ops once the command has started; also marks _finished as handled
+    this._finished.then(
+      () => failStart(new SandboxError('Command stream ended before the command started')),
+      (error) => failStart(error)
+    );
+
+    return started;
+  }
+
+  /**
+   * Wait for the command to finish
+   * @returns {Promise<Object>} Command result (pid, stdout, stderr, exitCode, error)
+   */
+  async wait() {
+    await this._finished;
+    return {
+      pid: this.pid,
+      stdout: this.stdout,
+      stderr: this.stderr,
+      exitCode: this.exitCode,
+      error: this.error
+    };
+  }
+
+  /**
+   * Kill the command
+   * @returns {Promise<boolean>} True if killed, false if it was not running
+   */
+  kill() {
+    return this._commands.kill(this.pid);
+  }
+
+  /**
+   * Write data to the command's stdin
+   * @param {string} data - Data to write
+   * @returns {Promise<void>}
+   */
+  sendStdin(data) {
+    return this._commands.sendStdin(this.pid, data);
+  }
+
+  /**
+   * Stop receiving output without killing the command
+   */
+  disconnect() {
+    this._controller.abort();
+  }
+}
+
+/**
+ * Run and manage shell commands in the sandbox (equivalent to E2B's Commands).
+ * Available as `sandbox.commands`.
+ */
+class Commands {
+  /**
+   * @param {Sandbox} sandbox - Owning sandbox
+   */
+  constructor(sandbox) {
+    this._sandbox = sandbox;
+  }
+
+  /**
+   * Run a command
+   * @param {string} cmd - Command to run through the shell
+   * @param {Object} opts - Command options and request options (requestTimeoutMs)
+   * @param {boolean} opts.background - Return a CommandHandle immediately instead of waiting
+   * @param {string} opts.cwd - Working directory
+   * @param {Object} opts.envs - Environment variables
+   * @param {string} opts.user - User to run the command as
+   * @param {Function} opts.onStdout - Called with each chunk of stdout
+   * @param {Function} opts.onStderr - Called with each chunk of stderr
+   * @param {number} opts.timeoutMs - Kill the command after this many milliseconds
+   * @returns {Promise<CommandHandle|Object>} Handle if background, otherwise the command result
+   */
+  async run(cmd, opts = {}) {
+    const { background = false, cwd, envs, user, onStdout, onStderr, timeoutMs, requestTimeoutMs } = opts;
+    const sandbox = this._sandbox;
+    const handle = new CommandHandle(this, { onStdout, onStderr });
+
+    try {
+      const { response } = await sandbox._request('POST', `/api/sandbox/${sandbox.sandboxId}/commands`, {
+        json: {
+          cmd,
+          background,
+          ...(cwd && { cwd }),
+          ...(envs && { envs }),
+          ...(user && { user }),
+          ...(timeoutMs && { timeoutMs })
+        },
+        headers: { 'Accept': 'text/event-stream' },
+        signal: handle._controller.signal,
+        requestTimeoutMs,
+        responseType: 'stream',
+        errorMessage: 'Failed to run command'
+      });
+
+      await handle._consume(response);
+      sandbox._logger.debug(`Command started: ${cmd} (pid ${handle.pid})`);
+    } catch (error) {
+      sandbox._logger.error(`Command failed: ${error.message}`);
+      throw error;
+    }
+
+    return background ? handle : handle.wait();
+  }
+
+  /**
+   * Connect to a running command to receive its output
+   * @param {number} pid - Process ID
+   * @param {Object} opts - onStdout, onStderr and request options (requestTimeoutMs)
+   * @returns {Promise<CommandHandle>} Command handle
+   */
+  async connect(pid, opts = {}) {
+    const { onStdout, onStderr, requestTimeoutMs } = opts;
+    const sandbox = this._sandbox;
+    const handle = new CommandHandle(this, { onStdout, onStderr });
+    handle.pid = pid;
+
+    try {
+      const { response } = await sandbox._request('GET', `/api/sandbox/${sandbox.sandboxId}/commands/${pid}/stream`, {
+        headers: { 'Accept': 'text/event-stream' },
+        signal: handle._controller.signal,
+        requestTimeoutMs,
+        responseType: 'stream',
+        errorMessage: 'Failed to connect to command'
+      });
+
+      await handle._consume(response);
+      return handle;
+    } catch (error) {
+      sandbox._logger.error(`Command connect failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List running commands
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Array<Object>>} Processes (pid, cmd, cwd, envs, tag)
+   */
+  async list(opts = {}) {
+    const sandbox = this._sandbox;
+
+    try {
+      const path = `/api/sandbox/${sandbox.sandboxId}/commands`;
+      const { response, data } = await sandbox._request('GET', path, {
+        ...opts,
+        errorMessage: 'Failed to list commands'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Command listing failed', { status: response.status, body: data, path });
+      }
+
+      return (data.processes || []).map((info) => ({
+        pid: info.pid,
+        cmd: info.cmd,
+        cwd: info.cwd,
+        envs: info.envs || {},
+        tag: info.tag
+      }));
+    } catch (error) {
+      sandbox._logger.error(`Command listing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Kill a running command
+   * @param {number} pid - Process ID
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<boolean>} True if killed, false if it was not running
+   */
+  async kill(pid, opts = {}) {
+    const sandbox = this._sandbox;
+
+    try {
+      await sandbox._request('DELETE', `/api/sandbox/${sandbox.sandboxId}/commands/${pid}`, {
+        ...opts,
+        errorMessage: 'Failed to kill command'
+      });
+      sandbox._logger.debug(`Command killed: ${pid}`);
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) return false;
+      sandbox._logger.error(`Command kill failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Write data to a running command's stdin
+   * @param {number} pid - Process ID
+   * @param {string} data - Data to write
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
+   */
+  async sendStdin(pid, data, opts = {}) {
+    const sandbox = this._sandbox;
+
+    try {
+      await sandbox._request('POST', `/api/sandbox/${sandbox.sandboxId}/commands/${pid}/stdin`, {
+        ...opts,
+        json: { data },
+        errorMessage: 'Failed to send stdin'
+      });
+    } catch (error) {
+      sandbox._logger.error(`Sending stdin failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Whether file content should be streamed: a web ReadableStream, a Node Readable
+ * or any other async iterable of chunks
+ * @param {*} data - File content
+ * @returns {boolean} Whether the content is a stream
+ */
+function isStreamLike(data) {
+  return data != null && typeof data === 'object' &&
+    (typeof data.getReader === 'function' || typeof data[Symbol.asyncIterator] === 'function');
+}
+
+/**
+ * Build a multipart/form-data body that streams file content without buffering it.
+ * Matches the layout of a FormData upload: the text fields, then `file`.
+ * @param {Object} fields - Text fields, e.g. { path: '/home/user/app.py' }
+ * @param {string} fileName - File name sent with the content
+ * @param {ReadableStream|AsyncIterable} data - File content
+ * @returns {{body: ReadableStream, contentType: string}} Body and its Content-Type header
+ */
+function createMultipartStream(fields, fileName, data) {
+  const boundary = `----bettere2b-${generateId()}`;
+  const encoder = new TextEncoder();
+  const safe = (value) => value.replace(/["\r\n]/g, '_');
+  const head = encoder.encode(
+    Object.entries(fields)
+      .map(([name, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${safe(value)}\r\n`)
+      .join('') +
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${safe(fileName)}"\r\n` +
+    'Content-Type: application/octet-stream\r\n\r\n'
+  );
+  const tail = encoder.encode(`\r\n--${boundary}--\r\n`);
+
+  let iterator;
+  if (typeof data.getReader === 'function') {
+    const reader = data.getReader();
+    iterator = { next: () => reader.read(), return: () => reader.cancel() };
+  } else {
+    iterator = data[Symbol.asyncIterator]();
+  }
+
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(head);
+    },
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.enqueue(tail);
+        controller.close();
+      } else if (typeof value === 'string') {
+        controller.enqueue(encoder.encode(value));
+      } else {
+        controller.enqueue(new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength));
+      }
+    },
+    async cancel() {
+      if (iterator.return) await iterator.return();
+    }
+  });
+
+  return { body, contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+/**
+ * Normalise a file entry from the server into an EntryInfo object
+ * @param {Object} data - File record
+ * @returns {Object} Entry info (name, path, type, size, isDirectory, lastModified)
+ */
+function toEntryInfo(data) {
+  const isDirectory = data.isDirectory ?? (data.type === 'dir' || data.type === 'directory');
+
+  return {
+    name: data.name,
+    path: data.path,
+    type: isDirectory ? 'dir' : 'file',
+    size: data.size ?? 0,
+    isDirectory: isDirectory,
+    lastModified: data.lastModified ?? data.modifiedTime ?? null
+  };
+}
+
+/**
+ * Resolve a sandbox path to a normalised absolute path.
+ * Relative paths resolve against cwd; `.` and empty segments are dropped and `..` is applied.
+ * @param {string} filePath - Absolute or relative path
+ * @param {string} cwd - Absolute working directory
+ * @returns {string} Absolute path, e.g. /home/user/app.py
+ * @throws {InvalidArgumentError} If the path is empty, contains a NUL byte or escapes the sandbox root
+ */
+function resolveSandboxPath(filePath, cwd) {
+  if (typeof filePath !== 'string' || filePath === '' || filePath.includes('\0')) {
+    throw new InvalidArgumentError(`Invalid path: ${JSON.stringify(filePath)}`, { path: filePath });
+  }
+
+  const segments = [];
+  const full = filePath.startsWith('/') ? filePath : `${cwd}/${filePath}`;
+  for (const segment of full.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (segments.length === 0) {
+        throw new InvalidArgumentError(`Path escapes the sandbox root: ${filePath}`, { path: filePath });
+      }
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return `/${segments.join('/')}`;
+}
+
+/**
+ * Encode an absolute sandbox path for use in a URL, segment by segment
+ * @param {string} filePath - Normalised absolute path
+ * @returns {string} Encoded path without the leading slash, e.g. home/user/my%20file.txt
+ */
+function encodeSandboxPath(filePath) {
+  return filePath.split('/').filter(Boolean).map(encodeURIComponent).join('/');
+}
+
+/**
+ * Import the Node.js modules needed for local directory access
+ * @returns {Promise<{fs: Object, nodePath: Object}>} node:fs and node:path
+ * @throws {SandboxError} Outside Node.js
+ */
+async function importNodeFs() {
+  try {
+    const [fs, nodePath] = await Promise.all([import('node:fs'), import('node:path')]);
+    return { fs: fs.default || fs, nodePath: nodePath.default || nodePath };
+  } catch (error) {
+    throw new SandboxError('Directory transfers need Node.js filesystem access');
+  }
+}
+
+/**
+ * Convert a .gitignore-style glob into a regular expression source
+ * @param {string} glob - Pattern without negation or trailing slash
+ * @returns {string} Regular expression source
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i++;
+      if (glob[i + 1] === '/') {
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      const range = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += `[${range.startsWith('!') ? `^${range.slice(1)}` : range}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile .gitignore-style patterns into a matcher. Supports comments, `!` negation,
+ * trailing `/` for directories only, patterns anchored by a `/`, and `*`, `?`, `**`, `[...]`.
+ * The last matching pattern wins, as in git.
+ * @param {Array<string>} patterns - Ignore patterns
+ * @returns {Function} (relativePath, isDirectory) => whether the entry is ignored
+ */
+function compileIgnore(patterns = []) {
+  const rules = [];
+  for (let pattern of patterns) {
+    pattern = pattern.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) continue;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+    // A slash anywhere but the end anchors the pattern to the root
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+    const source = globToRegExpSource(pattern);
+    rules.push({ negate, directoryOnly, regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`) });
+  }
+
+  return (relativePath, isDirectory) => {
+    let ignored = false;
+    for (const rule of rules) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      if (rule.regex.test(relativePath)) ignored = !rule.negate;
+    }
+    return ignored;
+  };
+}
+
+/**
+ * List a local directory recursively, skipping ignored entries and anything that is
+ * neither a regular file nor a directory (e.g. symlinks)
+ * @param {Object} fs - node:fs
+ * @param {Object} nodePath - node:path
+ * @param {string} root - Local directory
+ * @param {Function} isIgnored - Matcher from compileIgnore
+ * @returns {Promise<Array<Object>>} Entries (name, localPath, isDirectory, size, mode, mtimeMs), parents first
+ */
+async function collectLocalEntries(fs, nodePath, root, isIgnored) {
+  const entries = [];
+
+  const walk = async (directory, prefix) => {
+    const dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+    dirents.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const dirent of dirents) {
+      const name = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      const isDirectory = dirent.isDirectory();
+      if (!isDirectory && !dirent.isFile()) continue;
+      if (isIgnored(name, isDirectory)) continue;
+
+      const localPath = nodePath.join(directory, dirent.name);
+      const stat = await fs.promises.stat(localPath);
+      entries.push({ name, localPath, isDirectory, size: isDirectory ? 0 : stat.size, mode: stat.mode, mtimeMs: stat.mtimeMs });
+      if (isDirectory) await walk(localPath, name);
+    }
+  };
+
+  await walk(root, '');
+  return entries;
+}
+
+/** Size of a tar block; headers and padded content are multiples of it */
+const TAR_BLOCK_SIZE = 512;
+
+/**
+ * Build a ustar header block
+ * @param {string} name - Entry name, truncated to 100 bytes (longer names use a PAX header)
+ * @param {Object} entry - size, mode, mtimeMs and typeflag ('0' file, '5' directory, 'x' PAX)
+ * @returns {Uint8Array} Header block
+ */
+function createTarHeader(name, { size = 0, mode = 0o644, mtimeMs = Date.now(), typeflag = '0' }) {
+  const header = new Uint8Array(TAR_BLOCK_SIZE);
+  const encoder = new TextEncoder();
+  const write = (offset, length, value) => header.set(encoder.encode(value).subarray(0, length), offset);
+  const writeOctal = (offset, length, value) => write(offset, length, `${value.toString(8).padStart(length - 1, '0')}\0`);
+
+  write(0, 100, name);
+  writeOctal(100, 8, mode & 0o7777);
+  writeOctal(108, 8, 0);
+  writeOctal(116, 8, 0);
+  writeOctal(124, 12, size);
+  writeOctal(136, 12, Math.floor(mtimeMs / 1000));
+  write(148, 8, '        ');
+  write(156, 1, typeflag);
+  write(257, 8, 'ustar\u000000');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  write(148, 8, `${checksum.toString(8).padStart(6, '0')}\0 `);
+  return header;
+}
+
+/**
+ * Build a PAX extended header carrying a long entry name
+ * @param {string} name - Entry name
+ * @returns {Uint8Array} PAX header block and its padded records
+ */
+function createPaxHeader(name) {
+  const encoder = new TextEncoder();
+  const recordLength = encoder.encode(` path=${name}\n`).length;
+  // The record starts with its own total length in decimal
+  let length = recordLength + String(recordLength).length;
+  if (String(length).length > String(recordLength).length) length++;
+  const records = encoder.encode(`${length} path=${name}\n`);
+
+  const block = new Uint8Array(TAR_BLOCK_SIZE + Math.ceil(records.length / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE);
+  block.set(createTarHeader(`PaxHeader/${name}`.slice(0, 99), { size: records.length, typeflag: 'x' }));
+  block.set(records, TAR_BLOCK_SIZE);
+  return block;
+}
+
+/**
+ * Generate a tar archive of local entries, reading each file as it is archived
+ * @param {Object} fs - node:fs
+ * @param {Array<Object>} entries - Entries from collectLocalEntries
+ * @param {Function} onData - Called with the number of file bytes read
+ * @returns {AsyncGenerator<Uint8Array>} Archive chunks
+ */
+async function* generateTar(fs, entries, onData) {
+  const encoder = new TextEncoder();
+
+  for (const entry of entries) {
+    const name = entry.isDirectory ? `${entry.name}/` : entry.name;
+    if (encoder.encode(name).length > 100) yield createPaxHeader(name);
+    yield createTarHeader(name, {
+      size: entry.size,
+      mode: entry.mode,
+      mtimeMs: entry.mtimeMs,
+      typeflag: entry.isDirectory ? '5' : '0'
+    });
+    if (entry.isDirectory) continue;
+
+    const handle = await fs.promises.open(entry.localPath, 'r');
+    try {
+      let position = 0;
+      while (position < entry.size) {
+        const buffer = new Uint8Array(Math.min(64 * 1024, entry.size - position));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+        if (bytesRead === 0) {
+          throw new SandboxError(`File changed while it was being archived: ${entry.localPath}`);
+        }
+        position += bytesRead;
+        onData(bytesRead);
+        yield buffer.subarray(0, bytesRead);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    const padding = (TAR_BLOCK_SIZE - (entry.size % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    if (padding) yield new Uint8Array(padding);
+  }
+
+  // Two empty blocks end the archive
+  yield new Uint8Array(TAR_BLOCK_SIZE * 2);
+}
+
+/**
+ * Read exact byte counts from a stream
+ * @param {ReadableStream} stream - Byte stream
+ * @returns {Object} Reader whose read(n) resolves with n bytes, or fewer at the end of the stream
+ */
+function createByteReader(stream) {
+  const reader = stream.getReader();
+  let buffered = new Uint8Array(0);
+
+  return {
+    async read(length) {
+      while (buffered.length < length) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const next = new Uint8Array(buffered.length + value.length);
+        next.set(buffered);
+        next.set(value, buffered.length);
+        buffered = next;
+      }
+      const bytes = buffered.subarray(0, length);
+      buffered = buffered.subarray(length);
+      return bytes;
+    },
+    cancel() {
+      return reader.cancel();
+    }
+  };
+}
+
+/**
+ * Parse a numeric tar header field (octal, or base-256 for large values)
+ * @param {Uint8Array} field - Field bytes
+ * @returns {number} Value
+ */
+function parseTarNumber(field) {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+    return value;
+  }
+  const text = new TextDecoder().decode(field).replace(/\0.*$/s, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Extract a tar archive into a local directory.
+ * Entries resolving outside the directory are rejected; symlinks and other special entries are skipped.
+ * @param {ReadableStream} stream - Uncompressed tar stream
+ * @param {Object} fs - node:fs
+ * @param {Object} nodePath - node:path
+ * @param {string} root - Absolute local directory
+ * @returns {Promise<{files: number, bytes: number}>} Files and bytes written
+ */
+async function extractTar(stream, fs, nodePath, root) {
+  const input = createByteReader(stream);
+  const decoder = new TextDecoder();
+  const readString = (bytes) => decoder.decode(bytes).replace(/\0.*$/s, '');
+  let longName = null;
+  let files = 0;
+  let bytes = 0;
+
+  try {
+    while (true) {
+      const header = await input.read(TAR_BLOCK_SIZE);
+      if (header.length < TAR_BLOCK_SIZE || header.every((byte) => byte === 0)) break;
+
+      const size = parseTarNumber(header.subarray(124, 136));
+      const padded = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+      const typeflag = String.fromCharCode(header[156] || 48);
+
+      // PAX and GNU long-name entries carry the name of the entry that follows
+      if (typeflag === 'x' || typeflag === 'L') {
+        const content = readString((await input.read(padded)).subarray(0, size));
+        longName = typeflag === 'L' ? content : (content.match(/^\d+ path=(.*)$/m) || [])[1] ?? longName;
+        continue;
+      }
+
+      const prefix = readString(header.subarray(345, 500));
+      const name = longName ?? (prefix ? `${prefix}/${readString(header.subarray(0, 100))}` : readString(header.subarray(0, 100)));
+      longName = null;
+
+      const target = nodePath.resolve(root, name);
+      if (target !== root && !target.startsWith(root + nodePath.sep)) {
+        throw new InvalidArgumentError(`Archive entry escapes the destination directory: ${name}`, { path: name });
+      }
+
+      if (typeflag === '5') {
+        await fs.promises.mkdir(target, { recursive: true });
+        await input.read(padded);
+      } else if (typeflag === '0' || typeflag === '7') {
+        await fs.promises.mkdir(nodePath.dirname(target), { recursive: true });
+        const handle = await fs.promises.open(target, 'w', parseTarNumber(header.subarray(100, 108)) & 0o777 || 0o644);
+        try {
+          let remaining = size;
+          while (remaining > 0) {
+            const chunk = await input.read(Math.min(64 * 1024, remaining));
+            if (chunk.length === 0) throw new SandboxError(`Archive ended inside ${name}`);
+            await handle.write(chunk);
+            remaining -= chunk.length;
+          }
+        } finally {
+          await handle.close();
+        }
+        await input.read(padded - size);
+        files++;
+        bytes += size;
+      } else {
+        await input.read(padded);
+      }
+    }
+  } finally {
+    await input.cancel();
+  }
+
+  return { files, bytes };
+}
+
+/**
+ * Handle to a directory watch (equivalent to E2B's WatchHandle).
+ * Reconnects with backoff when the event stream drops, until stop() is called.
+ */
+class WatchHandle {
+  /**
+   * @param {Sandbox} sandbox - Owning sandbox
+   * @param {string} path - Request path of the event stream
+   * @param {Function} onEvent - Called with each FilesystemEvent ({ name, type })
+   * @param {Function} onExit - Called with the error if watching stops on its own
+   */
+  constructor(sandbox, path, onEvent, onExit) {
+    this._sandbox = sandbox;
+    this._path = path;
+    this._onEvent = onEvent;
+    this._onExit = onExit;
+    this._controller = new AbortController();
+  }
+
+  /**
+   * Open the event stream
+   * @param {number} requestTimeoutMs - Timeout until the stream is open
+   * @returns {Promise<Response>} SSE response
+   */
+  async _connect(requestTimeoutMs) {
+    const { response } = await this._sandbox._request('GET', this._path, {
+      headers: { 'Accept': 'text/event-stream' },
+      signal: this._controller.signal,
+      requestTimeoutMs,
+      responseType: 'stream',
+      errorMessage: 'Failed to watch directory'
+    });
+    return response;
+  }
+
+  /**
+   * Deliver events from the stream, reconnecting whenever it ends
+   * @param {Response} response - First SSE response
+   * @param {number} requestTimeoutMs - Timeout until each reconnected stream is open
+   * @returns {Promise<void>}
+   */
+  async _run(response, requestTimeoutMs) {
+    const sandbox = this._sandbox;
+    const signal = this._controller.signal;
+    const retryDelayMs = sandbox.options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+    let attempt = 0;
+
+    while (!signal.aborted) {
+      let openedAt = Date.now();
+      try {
+        response = response || await this._connect(requestTimeoutMs);
+        openedAt = Date.now();
+        await readEventStream(response, async (data) => {
+          if (data.type === 'event') {
+            // Only a stream that delivers events counts as recovered
+            attempt = 0;
+            // A failing handler must not look like a dropped stream
+            try {
+              await this._onEvent({ name: data.event.name, type: data.event.type });
+            } catch (error) {
+              sandbox._logger.error(`Directory watch handler failed: ${error.message}`);
+            }
+          } else if (data.type === 'error') {
+            throw new SandboxError(data.error || 'Directory watch failed', { path: this._path });
+          }
+        });
+      } catch (error) {
+        if (signal.aborted) return;
+        // The directory or sandbox is gone, or access was revoked: reconnecting cannot help
+        if (error instanceof NotFoundError || error instanceof AuthenticationError) {
+          sandbox._logger.error(`Directory watch stopped: ${error.message}`);
+          this._controller.abort();
+          if (this._onExit) await this._onExit(error);
+          return;
+        }
+        sandbox._logger.warn(`Directory watch interrupted: ${error.message}`);
+      }
+
+      response = null;
+      if (signal.aborted) return;
+      // So does one that stayed up longer than the longest backoff
+      if (Date.now() - openedAt >= MAX_RETRY_DELAY_MS) attempt = 0;
+      sandbox._logger.debug(`Reconnecting directory watch: ${this._path}`);
+      try {
+        await sleep(backoffDelay(retryDelayMs, attempt++), signal);
+      } catch (error) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Stop watching
+   */
+  stop() {
+    this._controller.abort();
+  }
+}
+
+/**
+ * Filesystem operations (equivalent to E2B's Filesystem), available as `sandbox.files`
+ */
+class Filesystem {
+  /**
+   * @param {Sandbox} sandbox - Owning sandbox
+   */
+  constructor(sandbox) {
+    this._sandbox = sandbox;
+  }
+
+  /**
+   * Resolve a path against the sandbox working directory (options.cwd)
+   * @param {string} filePath - Absolute or relative path
+   * @returns {string} Normalised absolute path
+   * @throws {InvalidArgumentError} If the path is invalid or escapes the sandbox root
+   */
+  _resolve(filePath) {
+    const sandbox = this._sandbox;
+    try {
+      return resolveSandboxPath(filePath, resolveSandboxPath(sandbox.options.cwd || DEFAULT_SANDBOX_CWD, '/'));
+    } catch (error) {
+      sandbox._logger.error(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read a file
+   * @param {string} filePath - File path
+   * @param {Object} opts - Read options and request options (signal, requestTimeoutMs)
+   * @param {string} opts.format - 'text' (default), 'bytes' (Uint8Array), 'blob' or 'stream' (ReadableStream)
+   * @returns {Promise<string|Uint8Array|Blob|ReadableStream>} File content
+   */
+  async read(filePath, opts = {}) {
+    const { format = 'text', ...requestOpts } = opts;
+    const sandbox = this._sandbox;
+    filePath = this._resolve(filePath);
+
+    try {
+      const { response, data } = await sandbox._request('GET', `/api/sandbox/${sandbox.sandboxId}/files/${encodeSandboxPath(filePath)}`, {
+        ...requestOpts,
+        responseType: format,
+        errorMessage: 'Failed to read file'
+      });
+      sandbox._logger.debug(`File read: ${filePath}`);
+      return format === 'stream' ? response.body : data;
+    } catch (error) {
+      sandbox._logger.error(`File read failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a file, or several files given as entries.
+   * Text is sent as JSON; binary content (ArrayBuffer, Uint8Array, Blob) and streams
+   * (ReadableStream, Node Readable) go through the multipart upload route.
+   * @param {string|Array<Object>} pathOrEntries - File path, or entries of { path, data }
+   * @param {string|ArrayBuffer|Uint8Array|Blob|ReadableStream|Object} data - File content, or request options when writing entries
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object|Array<Object>>} Write info (name, path, type, size), one per entry
+   */
+  async write(pathOrEntries, data, opts = {}) {
+    if (Array.isArray(pathOrEntries)) {
+      const results = [];
+      for (const entry of pathOrEntries) {
+        results.push(await this.write(entry.path, entry.data, data));
+      }
+      return results;
+    }
+
+    const filePath = this._resolve(pathOrEntries);
+    const sandbox = this._sandbox;
+
+    if (typeof data !== 'string') {
+      return this._upload(filePath, data, opts);
+    }
+
+    try {
+      const path = `/api/sandbox/${sandbox.sandboxId}/write-file`;
+      const { response, data: result } = await sandbox._request('POST', path, {
+        ...opts,
+        json: {
+          filePath: filePath,
+          content: data
+        },
+        errorMessage: 'Failed to write file'
+      });
+
+      if (!result.success) {
+        throw new SandboxError(result.error || 'File write failed', { status: response.status, body: result, path });
+      }
+
+      sandbox._logger.debug(`File written: ${filePath}`);
+      return {
+        name: filePath.split('/').pop(),
+        path: result.filePath || filePath,
+        type: 'file',
+        size: result.size ?? null
+      };
+    } catch (error) {
+      sandbox._logger.error(`File write failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload binary or streamed content through the multipart upload route
+   * @param {string} filePath - Resolved absolute file path
+   * @param {ArrayBuffer|Uint8Array|Blob|ReadableStream|AsyncIterable} data - File content
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Write info (name, path, type, size)
+   */
+  async _upload(filePath, data, opts = {}) {
+    const sandbox = this._sandbox;
+    const name = filePath.split('/').pop();
+    const streaming = isStreamLike(data);
+
+    let body;
+    let headers = {};
+    if (streaming) {
+      const multipart = createMultipartStream({ path: filePath }, name, data);
+      body = multipart.body;
+      headers = { 'Content-Type': multipart.contentType };
+    } else {
+      // Let fetch set the multipart Content-Type with its boundary
+      body = new FormData();
+      body.append('path', filePath);
+      body.append('file', data instanceof Blob ? data : new Blob([data]), name);
+    }
+
+    try {
+      const path = `/api/sandbox/${sandbox.sandboxId}/upload`;
+      const { response, data: result } = await sandbox._request('POST', path, {
+        ...opts,
+        body,
+        headers,
+        // A consumed stream cannot be resent, and large uploads may take a while
+        ...(streaming && { maxRetries: 0, requestTimeoutMs: opts.requestTimeoutMs ?? 0 }),
+        errorMessage: 'Failed to upload file'
+      });
+
+      if (!result.success) {
+        throw new SandboxError(result.error || 'File upload failed', { status: response.status, body: result, path });
+      }
+
+      sandbox._logger.debug(`File uploaded: ${filePath}`);
+      return {
+        name: name,
+        path: result.filePath || filePath,
+        type: 'file',
+        size: result.size ?? null
+      };
+    } catch (error) {
+      sandbox._logger.error(`File upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List a directory
+   * @param {string} directory - Directory path (default: /)
+   * @param {Object} opts - List options and request options (signal, requestTimeoutMs)
+   * @param {number} opts.depth - How many levels deep to list (default: 1)
+   * @returns {Promise<Array<Object>>} Entries (name, path, type, size, isDirectory, lastModified)
+   */
+  async list(directory = '/', opts = {}) {
+    const { depth, ...requestOpts } = opts;
+    const sandbox = this._sandbox;
+    directory = this._resolve(directory);
+
+    try {
+      const params = new URLSearchParams({ directory });
+      if (depth) params.set('depth', String(depth));
+
+      const path = `/api/sandbox/${sandbox.sandboxId}/files?${params}`;
+      const { response, data } = await sandbox._request('GET', path, {
+        ...requestOpts,
+        errorMessage: 'Failed to list files'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'File listing failed', { status: response.status, body: data, path });
+      }
+
+      sandbox._logger.debug(`Files listed in: ${directory}`);
+      return (data.files || []).map(toEntryInfo);
+    } catch (error) {
+      sandbox._logger.error(`File listing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Watch a directory for changes. Resolves once the watch is established; events
+   * keep arriving until handle.stop(), and a dropped stream is reconnected automatically.
+   * @param {string} directory - Directory path
+   * @param {Function} onEvent - Called with each FilesystemEvent ({ name, type }),
+   *   where type is 'create', 'write', 'remove', 'rename' or 'chmod'
+   * @param {Object} opts - Watch options and request options (requestTimeoutMs)
+   * @param {boolean} opts.recursive - Also watch subdirectories
+   * @param {Function} opts.onExit - Called with the error if the watch stops on its own
+   * @returns {Promise<WatchHandle>} Watch handle
+   */
+  async watchDir(directory, onEvent, opts = {}) {
+    const { recursive = false, onExit, requestTimeoutMs } = opts;
+    const sandbox = this._sandbox;
+    directory = this._resolve(directory);
+
+    const params = new URLSearchParams({ path: directory });
+    if (recursive) params.set('recursive', 'true');
+    const handle = new WatchHandle(sandbox, `/api/sandbox/${sandbox.sandboxId}/watch?${params}`, onEvent, onExit);
+
+    try {
+      const response = await handle._connect(requestTimeoutMs);
+      handle._run(response, requestTimeoutMs).catch((error) => {
+        sandbox._logger.error(`Directory watch failed: ${error.message}`);
+      });
+      sandbox._logger.debug(`Watching directory: ${directory}`);
+      return handle;
+    } catch (error) {
+      sandbox._logger.error(`Directory watch failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get information about a file or directory
+   * @param {string} filePath - Path
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Entry info
+   * @throws {NotFoundError} If the path does not exist
+   */
+  async getInfo(filePath, opts = {}) {
+    const sandbox = this._sandbox;
+    filePath = this._resolve(filePath);
+
+    const path = `/api/sandbox/${sandbox.sandboxId}/file-info?${new URLSearchParams({ path: filePath })}`;
+    const { response, data } = await sandbox._request('GET', path, {
+      ...opts,
+      errorMessage: 'Failed to get file info'
+    });
+
+    if (!data.success) {
+      throw new SandboxError(data.error || 'File info failed', { status: response.status, body: data, path });
+    }
+
+    return toEntryInfo(data.entry || data);
+  }
+
+  /**
+   * Check whether a file or directory exists
+   * @param {string} filePath - Path
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<boolean>} Whether the path exists
+   */
+  async exists(filePath, opts = {}) {
+    try {
+      await this.getInfo(filePath, opts);
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) return false;
+      this._sandbox._logger.error(`File exists check failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a directory, including missing parents
+   * @param {string} dirPath - Directory path
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<boolean>} True if created, false if it already existed
+   */
+  async makeDir(dirPath, opts = {}) {
+    const sandbox = this._sandbox;
+    dirPath = this._resolve(dirPath);
+
+    try {
+      const path = `/api/sandbox/${sandbox.sandboxId}/make-dir`;
+      const { response, data } = await sandbox._request('POST', path, {
+        ...opts,
+        json: { path: dirPath },
+        errorMessage: 'Failed to create directory'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Directory creation failed', { status: response.status, body: data, path });
+      }
+
+      sandbox._logger.debug(`Directory created: ${dirPath}`);
+      return data.created ?? true;
+    } catch (error) {
+      sandbox._logger.error(`Directory creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a file or directory
+   * @param {string} filePath - Path
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
+   */
+  async remove(filePath, opts = {}) {
+    const sandbox = this._sandbox;
+    filePath = this._resolve(filePath);
+
+    try {
+      await sandbox._request('DELETE', `/api/sandbox/${sandbox.sandboxId}/files/${encodeSandboxPath(filePath)}`, {
+        ...opts,
+        errorMessage: 'Failed to remove file'
+      });
+      sandbox._logger.debug(`File removed: ${filePath}`);
+    } catch (error) {
+      sandbox._logger.error(`File removal failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename or move a file or directory
+   * @param {string} oldPath - Current path
+   * @param {string} newPath - New path
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Entry info at the new path
+   */
+  async rename(oldPath, newPath, opts = {}) {
+    const sandbox = this._sandbox;
+    oldPath = this._resolve(oldPath);
+    newPath = this._resolve(newPath);
+
+    try {
+      const path = `/api/sandbox/${sandbox.sandboxId}/rename-file`;
+      const { response, data } = await sandbox._request('POST', path, {
+        ...opts,
+        json: { oldPath, newPath },
+        errorMessage: 'Failed to rename file'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'File rename failed', { status: response.status, body: data, path });
+      }
+
+      sandbox._logger.debug(`File renamed: ${oldPath} -> ${newPath}`);
+      return toEntryInfo(data.entry || { name: newPath.split('/').pop(), path: newPath });
+    } catch (error) {
+      sandbox._logger.error(`File rename failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a local directory as a single tar.gz archive through the upload route; the server
+   * extracts it into remotePath. Node.js only. Files are read as they are sent, not buffered.
+   * @param {string} localPath - Local directory
+   * @param {string} remotePath - Destination directory in the sandbox
+   * @param {Object} opts - Upload options and request options (signal, requestTimeoutMs)
+   * @param {Array<string>} opts.ignore - .gitignore-style patterns, relative to localPath
+   * @param {Function} opts.onProgress - Called with { bytes, totalBytes } as file content is read
+   * @returns {Promise<Object>} Transfer info (path, files, bytes)
+   */
+  async uploadDir(localPath, remotePath, opts = {}) {
+    const { ignore, onProgress, ...requestOpts } = opts;
+    const sandbox = this._sandbox;
+    remotePath = this._resolve(remotePath);
+
+    try {
+      const { fs, nodePath } = await importNodeFs();
+      const entries = await collectLocalEntries(fs, nodePath, nodePath.resolve(localPath), compileIgnore(ignore));
+      const files = entries.filter((entry) => !entry.isDirectory);
+      const totalBytes = files.reduce((sum, entry) => sum + entry.size, 0);
+
+      let bytes = 0;
+      const tar = generateTar(fs, entries, (count) => {
+        bytes += count;
+        if (onProgress) onProgress({ bytes, totalBytes });
+      });
+      const archive = new ReadableStream({
+        async pull(controller) {
+          const { value, done } = await tar.next();
+          if (done) controller.close();
+          else controller.enqueue(value);
+        },
+        async cancel() {
+          await tar.return();
+        }
+      }).pipeThrough(new CompressionStream('gzip'));
+
+      const multipart = createMultipartStream({ path: remotePath, archive: 'tar.gz' }, 'archive.tar.gz', archive);
+      const path = `/api/sandbox/${sandbox.sandboxId}/upload`;
+      const { response, data } = await sandbox._request('POST', path, {
+        ...requestOpts,
+        body: multipart.body,
+        headers: { 'Content-Type': multipart.contentType },
+        // A consumed stream cannot be resent, and large uploads may take a while
+        maxRetries: 0,
+        requestTimeoutMs: requestOpts.requestTimeoutMs ?? 0,
+        errorMessage: 'Failed to upload directory'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Directory upload failed', { status: response.status, body: data, path });
+      }
+
+      sandbox._logger.debug(`Directory uploaded: ${localPath} -> ${remotePath} (${files.length} files)`);
+      return { path: remotePath, files: files.length, bytes: totalBytes };
+    } catch (error) {
+      sandbox._logger.error(`Directory upload failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Download a sandbox directory as a single tar.gz archive and extract it into a local
+   * directory, streaming as it arrives. Node.js only.
+   * @param {string} remotePath - Directory in the sandbox
+   * @param {string} localPath - Local destination directory, created if missing
+   * @param {Object} opts - Download options and request options (signal, requestTimeoutMs)
+   * @param {Function} opts.onProgress - Called with { bytes, totalBytes } as the archive arrives;
+   *   totalBytes is null if the server does not send a Content-Length
+   * @returns {Promise<Object>} Transfer info (path, files, bytes)
+   * @throws {InvalidArgumentError} If an archive entry would be written outside localPath
+   */
+  async downloadDir(remotePath, localPath, opts = {}) {
+    const { onProgress, ...requestOpts } = opts;
+    const sandbox = this._sandbox;
+    remotePath = this._resolve(remotePath);
+
+    try {
+      const { fs, nodePath } = await importNodeFs();
+      const root = nodePath.resolve(localPath);
+
+      const params = new URLSearchParams({ path: remotePath, archive: 'tar.gz' });
+      const { response } = await sandbox._request('GET', `/api/sandbox/${sandbox.sandboxId}/download?${params}`, {
+        ...requestOpts,
+        responseType: 'stream',
+        errorMessage: 'Failed to download directory'
+      });
+
+      const totalBytes = Number(response.headers.get('content-length')) || null;
+      let bytes = 0;
+      const archive = response.body
+        .pipeThrough(new TransformStream({
+          transform(chunk, controller) {
+            bytes += chunk.byteLength;
+            if (onProgress) onProgress({ bytes, totalBytes });
+            controller.enqueue(chunk);
+          }
+        }))
+        .pipeThrough(new DecompressionStream('gzip'));
+
+      await fs.promises.mkdir(root, { recursive: true });
+      const result = await extractTar(archive, fs, nodePath, root);
+
+      sandbox._logger.debug(`Directory downloaded: ${remotePath} -> ${localPath} (${result.files} files)`);
+      return { path: root, ...result };
+    } catch (error) {
+      sandbox._logger.error(`Directory download failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Handle to an interactive terminal session in the sandbox (equivalent to E2B's PTY handle)
+ */
+class PtyHandle {
+  /**
+   * @param {WebSocket} socket - Socket carrying the session
+   * @param {Function} onData - Called with each chunk of terminal output
+   */
+  constructor(socket, onData) {
+    this._socket = socket;
+    this._onData = onData;
+    this.pid = null;
+    this.exitCode = null;
+    this._exited = new Promise((resolve) => {
+      this._resolveExit = resolve;
+    });
+  }
+
+  /**
+   * Send a control message over the socket
+   * @param {Object} message - Message to send as JSON
+   */
+  _send(message) {
+    if (this._socket.readyState !== 1) {
+      throw new SandboxError('Terminal session is closed');
+    }
+    this._socket.send(JSON.stringify(message));
+  }
+
+  /**
+   * Write input to the terminal, e.g. keystrokes
+   * @param {string|Uint8Array} data - Input data
+   */
+  sendInput(data) {
+    this._send({ type: 'input', data: typeof data === 'string' ? data : new TextDecoder().decode(data) });
+  }
+
+  /**
+   * Resize the terminal
+   * @param {Object} size - New size
+   * @param {number} size.cols - Columns
+   * @param {number} size.rows - Rows
+   */
+  resize({ cols, rows }) {
+    this._send({ type: 'resize', cols, rows });
+  }
+
+  /**
+   * Kill the terminal process
+   * @returns {Promise<Object>} Resolves with the exit code once the process has exited;
+   *   rejects with a SandboxError if the session is already closed
+   */
+  async kill() {
+    this._send({ type: 'kill' });
+    return this.wait();
+  }
+
+  /**
+   * Wait for the terminal process to exit
+   * @returns {Promise<Object>} Exit info (exitCode)
+   */
+  wait() {
+    return this._exited;
+  }
+
+  /**
+   * Close the connection; the server ends the session
+   */
+  disconnect() {
+    this._socket.close();
+  }
+}
+
+/**
+ * Interactive terminal sessions over WebSocket, available as `sandbox.pty`
+ */
+class Pty {
+  /**
+   * @param {Sandbox} sandbox - Owning sandbox
+   */
+  constructor(sandbox) {
+    this._sandbox = sandbox;
+  }
+
+  /**
+   * Start a terminal session
+   * @param {Object} opts - Terminal options
+   * @param {number} opts.cols - Columns (default: 80)
+   * @param {number} opts.rows - Rows (default: 24)
+   * @param {string} opts.cwd - Working directory
+   * @param {Object} opts.envs - Environment variables
+   * @param {Function} opts.onData - Called with each chunk of terminal output
+   * @param {number} opts.requestTimeoutMs - Timeout for the session to start
+   * @returns {Promise<PtyHandle>} Handle to the session
+   */
+  create(opts = {}) {
+    const { cols = 80, rows = 24, cwd, envs, onData, requestTimeoutMs } = opts;
+    const sandbox = this._sandbox;
+    const timeoutMs = requestTimeoutMs ?? sandbox.options.requestTimeoutMs ?? DEFAULT_REQUEST_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+      const socket = sandbox._openWebSocket(`/api/sandbox/${sandbox.sandboxId}/pty`);
+      const handle = new PtyHandle(socket, onData);
+      let started = false;
+
+      const fail = (error) => {
+        clearTimeout(timer);
+        if (started) return;
+        sandbox._logger.error(`Terminal session failed: ${error.message}`);
+        reject(error);
+        socket.close();
+      };
+      const timer = timeoutMs
+        ? setTimeout(() => fail(new TimeoutError(`Terminal session did not start within ${timeoutMs}ms`)), timeoutMs)
+        : null;
+
+      socket.addEventListener('open', () => {
+        // Credentials go in the first message since browsers cannot set WebSocket headers
+        socket.send(JSON.stringify({
+          type: 'init',
+          ...(sandbox.options.apiKey && { token: sandbox.options.apiKey }),
+          cols,
+          rows,
+          ...(cwd && { cwd }),
+          ...(envs && { envs })
+        }));
+      });
+
+      socket.addEventListener('message', (event) => {
+        let message;
+        try {
+          message = JSON.parse(String(event.data));
+        } catch (e) {
+          return;
+        }
+
+        switch (message.type) {
+          case 'start':
+            handle.pid = message.pid;
+            started = true;
+            clearTimeout(timer);
+            sandbox._logger.debug(`Terminal session started (pid ${handle.pid})`);
+            resolve(handle);
+            break;
+          case 'output':
+            if (onData) onData(message.data);
+            break;
+          case 'exit':
+            handle.exitCode = message.exitCode ?? null;
+            handle._resolveExit({ exitCode: handle.exitCode });
+            break;
+          case 'error':
+            if (started) sandbox._logger.warn(`Terminal session error: ${message.error}`);
+            else fail(new SandboxError(`Failed to start terminal session: ${message.error}`));
+            break;
+        }
+      });
+
+      socket.addEventListener('error', () => {
+        fail(new SandboxError('Failed to start terminal session: connection error'));
+      });
+
+      socket.addEventListener('close', () => {
+        fail(new SandboxError('Failed to start terminal session: connection closed'));
+        handle._resolveExit({ exitCode: handle.exitCode });
+      });
+    });
+  }
+}
+
+/**
+ * Normalise an exposed port record from the server into a PortInfo object
+ * @param {Object} data - Port record
+ * @param {Sandbox} sandbox - Owning sandbox, for URLs the server leaves out
+ * @returns {Object} Port info (port, protocol, public, url, pathUrl, accessToken)
+ */
+function toPortInfo(data, sandbox) {
+  const protocol = data.protocol || 'http';
+  let url = data.url || data.urls?.subdomain || sandbox.getHost(data.port);
+  if (protocol === 'ws') url = url.replace(/^http/, 'ws');
+
+  return {
+    port: data.port,
+    protocol,
+    public: data.public ?? true,
+    url,
+    pathUrl: data.urls?.path || `${sandbox.serverUrl.replace(/\/+$/, '')}/${data.port}-${sandbox.sandboxId}/`,
+    accessToken: data.accessToken || null
+  };
+}
+
+/**
+ * Expose sandbox ports on their own dynamic subdomains, available as `sandbox.ports`
+ */
+class Ports {
+  /**
+   * @param {Sandbox} sandbox - Owning sandbox
+   */
+  constructor(sandbox) {
+    this._sandbox = sandbox;
+  }
+
+  /**
+   * Expose a port, giving it its own dynamic subdomain and path URL
+   * @param {number} port - Port number in the sandbox
+   * @param {Object} opts - Port options and request options (signal, requestTimeoutMs)
+   * @param {boolean} opts.public - Reachable without an access token (default: true)
+   * @param {string} opts.protocol - 'http' (default), 'ws' or 'tcp'
+   * @returns {Promise<Object>} Port info (port, protocol, public, url, pathUrl, accessToken)
+   */
+  async expose(port, opts = {}) {
+    const { public: isPublic = true, protocol = 'http', ...requestOpts } = opts;
+    const sandbox = this._sandbox;
+
+    try {
+      const path = `/api/subdomain/dynamic/${sandbox.sandboxId}/ports`;
+      const { response, data } = await sandbox._request('POST', path, {
+        ...requestOpts,
+        json: { port, protocol, public: isPublic },
+        errorMessage: 'Failed to expose port'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Port exposure failed', { status: response.status, body: data, path });
+      }
+
+      const info = toPortInfo({ port, protocol, public: isPublic, ...data.port }, sandbox);
+      sandbox._logger.debug(`Port exposed: ${port} -> ${info.url}`);
+      return info;
+    } catch (error) {
+      sandbox._logger.error(`Port exposure failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop exposing a port
+   * @param {number} port - Port number
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<boolean>} True if unexposed, false if it was not exposed
+   */
+  async unexpose(port, opts = {}) {
+    const sandbox = this._sandbox;
+
+    try {
+      await sandbox._request('DELETE', `/api/subdomain/dynamic/${sandbox.sandboxId}/ports/${port}`, {
+        ...opts,
+        errorMessage: 'Failed to unexpose port'
+      });
+      sandbox._logger.debug(`Port unexposed: ${port}`);
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) return false;
+      sandbox._logger.error(`Port unexposure failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List exposed ports
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Array<Object>>} Port info records
+   */
+  async list(opts = {}) {
+    const sandbox = this._sandbox;
+
+    try {
+      const path = `/api/subdomain/dynamic/${sandbox.sandboxId}/ports`;
+      const { response, data } = await sandbox._request('GET', path, {
+        ...opts,
+        errorMessage: 'Failed to list ports'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Port listing failed', { status: response.status, body: data, path });
+      }
+
+      return (data.ports || []).map((port) => toPortInfo(port, sandbox));
+    } catch (error) {
+      sandbox._logger.error(`Port listing failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Follows a sandbox's lifecycle and emits its events. Listens to the server's event
+ * stream, and polls getStatus instead if the stream is unavailable or drops.
+ */
+class StatusMonitor {
+  /**
+   * @param {Sandbox} sandbox - Sandbox to follow
+   */
+  constructor(sandbox) {
+    this._sandbox = sandbox;
+    this._controller = new AbortController();
+    this._status = null;
+    this._oom = false;
+    this._warnedEndAt = null;
+  }
+
+  /**
+   * Start following the sandbox in the background
+   */
+  start() {
+    this._run().catch((error) => {
+      this._sandbox._logger.error(`Sandbox monitoring failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Stop following the sandbox
+   */
+  stop() {
+    this._controller.abort();
+  }
+
+  /**
+   * Follow the event stream, then fall back to polling
+   * @returns {Promise<void>}
+   */
+  async _run() {
+    const sandbox = this._sandbox;
+    const signal = this._controller.signal;
+
+    try {
+      const { response } = await sandbox._request('GET', `/api/sandbox/${sandbox.sandboxId}/events`, {
+        headers: { 'Accept': 'text/event-stream' },
+        signal,
+        responseType: 'stream',
+        errorMessage: 'Failed to open sandbox event stream'
+      });
+      await readEventStream(response, (data) => this._handleEvent(data));
+      if (!signal.aborted) throw new SandboxError('Sandbox event stream ended');
+    } catch (error) {
+      if (signal.aborted) return;
+      sandbox._logger.warn(`Sandbox event stream unavailable, polling status instead: ${error.message}`);
+    }
+
+    await this._poll();
+  }
+
+  /**
+   * Handle an event from the server's stream
+   * @param {Object} data - Event with a type of status, expiring, killed or oom
+   */
+  _handleEvent(data) {
+    const { type, ...event } = data;
+    switch (type) {
+      case 'status':
+        this._setStatus(event.status);
+        break;
+      case 'expiring': {
+        const endAt = event.endAt != null ? new Date(event.endAt) : null;
+        this._sandbox._emit('expiring', { endAt, remainingMs: event.remainingMs ?? (endAt ? Math.max(endAt - Date.now(), 0) : null) });
+        break;
+      }
+      case 'oom':
+        this._sandbox._emit('oom', event);
+        break;
+      case 'killed':
+        this._markKilled(event.reason || 'killed');
+        break;
+    }
+  }
+
+  /**
+   * Poll getStatus, deriving events from changes between polls
+   * @returns {Promise<void>}
+   */
+  async _poll() {
+    const sandbox = this._sandbox;
+    const signal = this._controller.signal;
+    const intervalMs = sandbox.options.statusPollIntervalMs ?? DEFAULT_STATUS_POLL_INTERVAL_MS;
+    const thresholdMs = sandbox.options.expiringThresholdMs ?? DEFAULT_EXPIRING_THRESHOLD_MS;
+
+    while (!signal.aborted) {
+      try {
+        // Not getStatus: it logs failures as errors, and a failed poll is usually transient
+        const { data: state } = await sandbox._request('GET', `/api/sandbox/${sandbox.sandboxId}/state`, {
+          signal,
+          errorMessage: 'Failed to poll status'
+        });
+        // A missing sandbox is a 404; anything else reported here is worth retrying
+        if (state.success === false) throw new SandboxError(state.error || 'Status poll failed');
+
+        this._setStatus(state.status);
+        if (state.oomKilled && !this._oom) this._sandbox._emit('oom', {});
+        this._oom = Boolean(state.oomKilled);
+
+        // Warn once per deadline; extending the timeout moves it and re-arms the warning
+        const { endAt } = toSandboxInfo(state);
+        if (endAt && endAt - Date.now() <= thresholdMs && this._warnedEndAt !== endAt.getTime()) {
+          this._warnedEndAt = endAt.getTime();
+          sandbox._emit('expiring', { endAt, remainingMs: Math.max(endAt - Date.now(), 0) });
+        }
+      } catch (error) {
+        if (signal.aborted) return;
+        if (error instanceof NotFoundError) {
+          this._markKilled('not_found');
+          return;
+        }
+        sandbox._logger.debug(`Status poll failed: ${error.message}`);
+      }
+
+      try {
+        await sleep(intervalMs, signal);
+      } catch (error) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Record a status, emitting 'status' if it changed
+   * @param {string} status - New status
+   */
+  _setStatus(status) {
+    if (!status || status === this._status) return;
+    const previousStatus = this._status;
+    this._status = status;
+    this._sandbox._emit('status', { status, previousStatus });
+    if (status === 'killed') this._markKilled('killed');
+  }
+
+  /**
+   * Emit 'killed' once and stop following the sandbox
+   * @param {string} reason - Why the sandbox is gone, e.g. 'killed', 'timeout' or 'not_found'
+   */
+  _markKilled(reason) {
+    if (this._controller.signal.aborted) return;
+    this.stop();
+    this._sandbox._emit('killed', { reason });
+  }
+}
+
 class Sandbox {
   constructor(sandboxId, serverUrl, options = {}) {
     this.sandboxId = sandboxId;
     this.serverUrl = serverUrl;
     this.options = options;
-    this.timeout = options.timeout || 60 * 60 * 1000; // 1 hour default
+    this.timeout = options.timeout || DEFAULT_SANDBOX_TIMEOUT_MS;
     this.createdAt = Date.now();
+    // Local estimate of the server's deadline, for servers that do not report endAt
+    this._endAt = this.createdAt + this.timeout;
+    this._logger = createLogger(options);
+    this.commands = new Commands(this);
+    this.pty = new Pty(this);
+    this.files = new Filesystem(this);
+    this.ports = new Ports(this);
+    this._listeners = new Map();
+    this._monitor = null;
+  }
+
+  /**
+   * Listen for a lifecycle event. The first listener starts following the sandbox
+   * through the server's event stream, polling status if the stream is unavailable.
+   * @param {string} event - 'status', 'expiring', 'killed' or 'oom'
+   * @param {Function} handler - Called with the event payload
+   * @returns {Sandbox} This sandbox, for chaining
+   * @throws {InvalidArgumentError} If the event is unknown
+   */
+  on(event, handler) {
+    if (!SANDBOX_EVENTS.includes(event)) {
+      throw new InvalidArgumentError(`Unknown sandbox event: ${event} (expected ${SANDBOX_EVENTS.join(', ')})`);
+    }
+
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(handler);
+
+    if (!this._monitor) {
+      this._monitor = new StatusMonitor(this);
+      this._monitor.start();
+    }
+    return this;
+  }
+
+  /**
+   * Listen for a lifecycle event once
+   * @param {string} event - 'status', 'expiring', 'killed' or 'oom'
+   * @param {Function} handler - Called with the event payload
+   * @returns {Sandbox} This sandbox, for chaining
+   */
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      return handler(payload);
+    };
+    // Lets off() find the wrapper from the handler it was given
+    wrapper.listener = handler;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Stop listening for a lifecycle event. Removing the last listener stops following the sandbox.
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on() or once()
+   * @returns {Sandbox} This sandbox, for chaining
+   */
+  off(event, handler) {
+    const handlers = this._listeners.get(event);
+    if (handlers) {
+      const registered = handlers.has(handler)
+        ? handler
+        : [...handlers].find((candidate) => candidate.listener === handler);
+      handlers.delete(registered);
+      if (handlers.size === 0) this._listeners.delete(event);
+    }
+
+    if (this._listeners.size === 0 && this._monitor) {
+      this._monitor.stop();
+      this._monitor = null;
+    }
+    return this;
+  }
+
+  /**
+   * Call the handlers of an event; a throwing or rejecting handler does not affect the others
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  _emit(event, payload) {
+    const onError = (error) => this._logger.error(`Sandbox '${event}' handler failed: ${error.message}`);
+    for (const handler of [...(this._listeners.get(event) || [])]) {
+      try {
+        const result = handler(payload);
+        if (result && typeof result.then === 'function') result.then(null, onError);
+      } catch (error) {
+        onError(error);
+      }
+    }
+  }
+
+  /**
+   * Send a request to the sandbox's server through the shared transport
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path, starting with /
+   * @param {Object} opts - Request options, see sendRequest
+   * @returns {Promise<{response: Response, data: *}>} Response and parsed body
+   */
+  _request(method, path, opts = {}) {
+    return sendRequest({ ...this.options, serverUrl: this.serverUrl, logger: this._logger }, method, path, opts);
+  }
+
+  /**
+   * Create a new sandbox
+   * @param {Object} options - Sandbox options
+   * @param {string} options.name - Sandbox name
+   * @param {string} options.runtime - Runtime type (static, react, python, etc.)
+   * @param {string} options.description - Sandbox description
+   * @param {number} options.timeout - Time until the server kills the sandbox, in milliseconds (default: 1 hour)
+   * @param {Object} options.metadata - User metadata (string key/values), e.g. tenant or job id
+   * @param {Object} options.envs - Environment variables for all code run in the sandbox
+   * @param {boolean} options.autoPause - Pause instead of kill when the timeout is reached (default: false)
+   * @param {number} options.requestTimeoutMs - Per-request timeout in milliseconds for control and metadata
+   *   calls (default: 30000, 0 disables); runCode, install and pause are not limited by it
+   * @param {number} options.maxRetries - Retries for failed requests (default: 3)
+   * @param {number} options.retryDelayMs - Initial retry backoff in milliseconds (default: 500)
+   * @param {Object} options.logger - Logger with debug/info/warn/error methods (default: silent)
+   * @param {boolean} options.debug - Log method, path, status and latency of every request
+   * @param {Function} options.WebSocket - WebSocket implementation for terminals (default: the global WebSocket)
+   * @param {string} options.cwd - Directory relative file paths resolve against (default: /home/user)
+   * @param {number} options.statusPollIntervalMs - Status polling interval when the event stream is unavailable (default: 5000)
+   * @param {number} options.expiringThresholdMs - How long before the timeout polling emits 'expiring' (default: 60000)
+   * @param {AbortSignal} options.signal - Aborts the create request
+   * @returns {Promise<Sandbox>} New sandbox instance
+   */
+  static async create(options = {}) {
+    const { signal, ...sandboxOptions } = options;
+    const serverUrl = sandboxOptions.serverUrl || 'http://localhost:8083';
+    const logger = createLogger(sandboxOptions);
+    
+    try {
+      const path = '/api/sandbox/create';
+      const { response, data } = await sendRequest({ ...sandboxOptions, serverUrl, logger }, 'POST', path, {
+        json: {
+          name: options.name || 'E2B Clone Sandbox',
+          runtime: options.runtime || 'static',
+          description: options.description || 'Created with Your E2B Clone SDK',
+          timeoutMs: options.timeout || DEFAULT_SANDBOX_TIMEOUT_MS,
+          metadata: options.metadata || {},
+          envs: options.envs || {},
+          autoPause: Boolean(options.autoPause)
+        },
+        signal,
+        errorMessage: 'Failed to create sandbox'
+      });
+      
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Failed to create sandbox', { status: response.status, body: data, path });
+      }
+
+      const sandbox = new Sandbox(data.sandboxId, serverUrl, sandboxOptions);
+      
+      // Store dynamic subdomain info
+      sandbox.dynamicSubdomain = data.dynamicSubdomain;
+      sandbox.urls = data.urls;
+      
+      logger.info(`Sandbox created: ${data.sandboxId}`);
+      logger.debug(`Subdomain: ${data.urls?.subdomain || 'N/A'}`);
+      
+      return sandbox;
+    } catch (error) {
+      logger.error(`Failed to create sandbox: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a WebSocket to the sandbox's server.
+   * Uses `options.WebSocket` if given (e.g. the ws package on Node < 22), else the global WebSocket.
+   * @param {string} path - Request path, starting with /
+   * @returns {WebSocket} Socket, not yet open
+   */
+  _openWebSocket(path) {
+    const WebSocketImpl = this.options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    if (!WebSocketImpl) {
+      throw new SandboxError('WebSocket is not available; pass an implementation as the WebSocket option', { path });
+    }
+
+    const url = `${this.serverUrl.replace(/^http/, 'ws')}${path}`;
+    if (this.options.debug) this._logger.debug(`WS ${path}`);
+    return new WebSocketImpl(url);
+  }
+
+  /**
+   * Connect to an existing sandbox (equivalent to E2B's Sandbox.connect)
+   * @param {string} sandboxId - Sandbox ID
+   * @param {Object} options - Connection options (serverUrl, apiKey, logger, requestTimeoutMs, ...)
+   * @param {AbortSignal} options.signal - Aborts the connect requests
+   * @returns {Promise<Sandbox>} Sandbox instance
+   * @throws {NotFoundError} If the sandbox no longer exists
+   */
+  static async connect(sandboxId, options = {}) {
+    const { signal, ...sandboxOptions } = options;
+    const serverUrl = sandboxOptions.serverUrl || 'http://localhost:8083';
+    const sandbox = new Sandbox(sandboxId, serverUrl, sandboxOptions);
+
+    try {
+      const path = `/api/sandbox/${sandboxId}/state`;
+      const { response, data } = await sandbox._request('GET', path, {
+        signal,
+        errorMessage: 'Failed to connect to sandbox'
+      });
+
+      if (data.success === false) {
+        throw new NotFoundError(data.error || `Sandbox not found: ${sandboxId}`, { status: response.status, body: data, path });
+      }
+
+      // Restore dynamic subdomain info
+      const config = await sandbox.getSubdomainConfig({ signal });
+      sandbox.urls = config.urls;
+      sandbox.dynamicSubdomain = {
+        format: config.format,
+        example: config.example,
+        portId: config.portId
+      };
+
+      sandbox._logger.info(`Connected to sandbox: ${sandboxId}`);
+      return sandbox;
+    } catch (error) {
+      sandbox._logger.error(`Failed to connect to sandbox: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * Create a new sandbox
-   * @param {Object} options - Sandbox options
-   * @param {string} options.name - Sandbox name
-   * @param {string} options.runtime - Runtime type (static, react, python, etc.)
-   * @param {string} options.description - Sandbox description
-   * @param {number} options.timeout - Timeout in milliseconds
-   * @returns {Promise<Sandbox>} New sandbox instance
+   * Resume a paused sandbox (equivalent to E2B's betaResume).
+   * Files, memory and running processes are restored as they were when paused.
+   * @param {string} sandboxId - Sandbox ID
+   * @param {Object} options - Connection options (serverUrl, apiKey, logger, ...) plus:
+   * @param {number} options.timeout - New time until the server kills (or pauses) the sandbox, in milliseconds
+   * @param {boolean} options.autoPause - Pause again instead of kill when the timeout is reached
+   * @param {AbortSignal} options.signal - Aborts the resume requests
+   * @returns {Promise<Sandbox>} Sandbox instance
+   * @throws {NotFoundError} If the sandbox does not exist
    */
-  static async create(options = {}) {
-    const serverUrl = options.serverUrl || 'http://localhost:8083';
-    
+  static async resume(sandboxId, options = {}) {
+    const { signal, timeout, autoPause, ...connectOptions } = options;
+    const serverUrl = connectOptions.serverUrl || 'http://localhost:8083';
+    const logger = createLogger(connectOptions);
+
     try {
-      const response = await fetch(`${serverUrl}/api/sandbox/create`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(options.apiKey && { 'Authorization': `Bearer ${options.apiKey}` })
+      const path = `/api/sandbox/${sandboxId}/resume`;
+      const { response, data } = await sendRequest({ ...connectOptions, serverUrl, logger }, 'POST', path, {
+        json: {
+          ...(timeout && { timeoutMs: timeout }),
+          ...(autoPause !== undefined && { autoPause })
         },
-        body: JSON.stringify({
-          name: options.name || 'E2B Clone Sandbox',
-          runtime: options.runtime || 'static',
-          description: options.description || 'Created with Your E2B Clone SDK'
-        })
+        signal,
+        errorMessage: 'Failed to resume sandbox'
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to create sandbox: ${response.statusText}`);
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Sandbox resume failed', { status: response.status, body: data, path });
       }
 
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error(data.error || 'Failed to create sandbox');
+      logger.info(`Sandbox resumed: ${sandboxId}`);
+    } catch (error) {
+      logger.error(`Failed to resume sandbox: ${error.message}`);
+      throw error;
+    }
+
+    return Sandbox.connect(sandboxId, options);
+  }
+
+  /**
+   * List sandboxes, optionally filtered, one page at a time
+   * @param {Object} options - Connection options plus list parameters
+   * @param {Object} options.query - Filters: runtime, status and metadata key/values
+   * @param {number} options.limit - Maximum sandboxes per page
+   * @param {string} options.nextToken - Cursor returned by the previous page
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<{sandboxes: Array<Object>, nextToken: string|null}>} Page of SandboxInfo records
+   */
+  static async list(options = {}) {
+    const { query = {}, limit, nextToken, signal, ...connectionOptions } = options;
+    const serverUrl = connectionOptions.serverUrl || 'http://localhost:8083';
+    const logger = createLogger(connectionOptions);
+
+    const params = new URLSearchParams();
+    if (limit) params.set('limit', String(limit));
+    if (nextToken) params.set('nextToken', nextToken);
+    if (query.runtime) params.set('runtime', query.runtime);
+    if (query.status) params.set('status', query.status);
+    if (query.metadata && Object.keys(query.metadata).length > 0) {
+      params.set('metadata', new URLSearchParams(query.metadata).toString());
+    }
+    const search = params.toString();
+
+    try {
+      const path = `/api/sandbox/list${search ? `?${search}` : ''}`;
+      const { response, data } = await sendRequest({ ...connectionOptions, serverUrl, logger }, 'GET', path, {
+        signal,
+        errorMessage: 'Failed to list sandboxes'
+      });
+
+      if (data.success === false) {
+        throw new SandboxError(data.error || 'Sandbox listing failed', { status: response.status, body: data, path });
       }
 
-      const sandbox = new Sandbox(data.sandboxId, serverUrl, options);
-      
-      // Store dynamic subdomain info
-      sandbox.dynamicSubdomain = data.dynamicSubdomain;
-      sandbox.urls = data.urls;
-      
-      console.log(`✅ Sandbox created: ${data.sandboxId}`);
-      console.log(`🌐 Subdomain: ${data.urls?.subdomain || 'N/A'}`);
-      
-      return sandbox;
+      // Filter locally as well, in case the server ignores the query
+      const sandboxes = (data.sandboxes || [])
+        .map(toSandboxInfo)
+        .filter((info) => matchesQuery(info, query));
+
+      return {
+        sandboxes,
+        nextToken: data.nextToken || response.headers.get('X-Next-Token') || null
+      };
     } catch (error) {
-      console.error('❌ Failed to create sandbox:', error);
+      logger.error(`Sandbox listing failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
    * Execute code in the sandbox
+   *
+   * When any of the `onStdout`, `onStderr`, `onResult` or `onError` callbacks
+   * are given, output is streamed over `/api/sandbox/stream-code` as it is
+   * produced. The returned promise still resolves to the complete result. If a
+   * callback throws, the code is interrupted and runCode rejects with that error.
+   *
+   * When `signal` aborts or `timeoutMs` elapses, the server is told to interrupt
+   * the code and the result carries a TimeoutError or CancelledError.
+   *
    * @param {string} code - Code to execute
-   * @param {string} language - Programming language (python, javascript, bash)
+   * @param {string|Object} opts - Programming language (python, javascript, bash) or options
+   * @param {string} opts.language - Programming language (default: python)
+   * @param {Object} opts.envs - Environment variables for this execution, overriding the sandbox's
+   * @param {Object} opts.context - Code context to run in, from createCodeContext
+   * @param {Function} opts.onStdout - Called with each stdout OutputMessage
+   * @param {Function} opts.onStderr - Called with each stderr OutputMessage
+   * @param {Function} opts.onResult - Called with each result as it is produced
+   * @param {Function} opts.onError - Called with the execution error, if any
+   * @param {AbortSignal} opts.signal - Cancels the execution, interrupting the running code
+   * @param {number} opts.timeoutMs - Interrupts the running code after this many milliseconds
+   *   (default: none; the sandbox's requestTimeoutMs does not apply to executions)
+   * @param {number} opts.requestTimeoutMs - Client-side limit on the request (default: none)
+   * @returns {Promise<ExecutionResult>} Execution result; a stopped execution has a
+   *   TimeoutError or CancelledError in `error`
+   */
+  async runCode(code, opts = 'python') {
+    const options = typeof opts === 'string' ? { language: opts } : { ...opts };
+    const context = options.context;
+    const language = options.language || (context && context.language) || 'python';
+    const streaming = Boolean(options.onStdout || options.onStderr || options.onResult || options.onError);
+    const executionId = generateId();
+
+    // Output received so far, so a stopped execution can still report it
+    const collected = { logs: { stdout: [], stderr: [] }, results: [] };
+
+    // Cancelled before anything was sent: there is nothing on the server to interrupt
+    if (options.signal && options.signal.aborted) {
+      this._logger.debug(`Execution ${executionId} cancelled before it was sent`);
+      return new ExecutionResult({ ...collected, error: new ExecutionError('CancelledError', 'Execution was cancelled', '') });
+    }
+
+    // Both the caller's signal and timeoutMs stop the request and interrupt the code
+    const controller = new AbortController();
+    let stopReason = null;
+    const stop = (reason) => {
+      if (stopReason) return;
+      stopReason = reason;
+      controller.abort();
+    };
+    const onAbort = () => stop('cancelled');
+    if (options.signal) options.signal.addEventListener('abort', onAbort, { once: true });
+    const timer = options.timeoutMs ? setTimeout(() => stop('timeout'), options.timeoutMs) : null;
+
+    const execution = {
+      json: {
+        sandboxId: this.sandboxId,
+        executionId: executionId,
+        code: code,
+        language: language,
+        ...(context && { contextId: context.id }),
+        ...(options.envs && { envs: options.envs }),
+        ...(options.timeoutMs && { timeoutMs: options.timeoutMs })
+      },
+      signal: controller.signal,
+      // Code may legitimately run for a long time: only timeoutMs bounds the execution
+      requestTimeoutMs: options.requestTimeoutMs ?? 0
+    };
+
+    try {
+      return streaming
+        ? await this._streamCode(execution, options, collected)
+        : await this._executeCode(execution);
+    } catch (error) {
+      if (!stopReason) {
+        this._logger.error(`Code execution failed: ${error.message}`);
+        throw error;
+      }
+
+      await this._interruptExecution(executionId, context);
+      this._logger.debug(`Execution ${executionId} stopped: ${stopReason}`);
+
+      return new ExecutionResult({
+        ...collected,
+        error: stopReason === 'timeout'
+          ? new ExecutionError('TimeoutError', `Execution timed out after ${options.timeoutMs}ms`, '')
+          : new ExecutionError('CancelledError', 'Execution was cancelled', '')
+      });
+    } finally {
+      clearTimeout(timer);
+      if (options.signal) options.signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Execute code over the blocking endpoint
+   * @param {Object} execution - Request body, signal and requestTimeoutMs built by runCode
    * @returns {Promise<ExecutionResult>} Execution result
    */
-  async runCode(code, language = 'python') {
+  async _executeCode(execution) {
+    const path = '/api/sandbox/run-code';
+    const { response, data } = await this._request('POST', path, {
+      ...execution,
+      errorMessage: 'Failed to execute code'
+    });
+
+    // Exceptions raised by user code come back with a result or a structured
+    // error (name/value/traceback); a plain error string means the server failed
+    const userError = data.error && typeof data.error === 'object';
+    if (!data.success && !data.result && !userError) {
+      throw new SandboxError(data.error || 'Code execution failed', { status: response.status, body: data, path });
+    }
+
+    return new ExecutionResult({
+      ...data.result,
+      error: (data.result && data.result.error) || (userError && data.error)
+    });
+  }
+
+  /**
+   * Execute code over the streaming endpoint, dispatching callbacks per event
+   * @param {Object} execution - Request body, signal and requestTimeoutMs built by runCode
+   * @param {Object} options - runCode options carrying the callbacks
+   * @param {Object} collected - Logs and results, filled in as events arrive
+   * @returns {Promise<ExecutionResult>} Accumulated execution result
+   */
+  async _streamCode(execution, options, collected) {
+    const { logs, results } = collected;
+    let error = null;
+    let end = {};
+
+    const { response } = await this._request('POST', '/api/sandbox/stream-code', {
+      ...execution,
+      json: { ...execution.json, stream: true },
+      headers: { 'Accept': 'text/event-stream' },
+      responseType: 'stream',
+      errorMessage: 'Failed to stream code'
+    });
+
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/run-code`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
+      await readEventStream(response, async (data) => {
+        switch (data.type) {
+          case 'output': {
+            const isStderr = data.stream === 'stderr';
+            const message = {
+              line: typeof data.data === 'string' ? data.data : String(data.data ?? ''),
+              timestamp: data.timestamp || Date.now(),
+              error: isStderr
+            };
+            logs[isStderr ? 'stderr' : 'stdout'].push(message.line);
+            const callback = isStderr ? options.onStderr : options.onStdout;
+            if (callback) await callback(message);
+            break;
+          }
+          case 'result': {
+            const result = new Result(data.result);
+            results.push(result);
+            if (options.onResult) await options.onResult(result);
+            break;
+          }
+          case 'error':
+            error = toExecutionError(data.error);
+            if (options.onError) await options.onError(error);
+            break;
+          case 'end':
+            end = data;
+            break;
+        }
+      });
+    } catch (caught) {
+      // The caller gave up (a callback threw or the stream broke): stop the code too.
+      // Aborts by signal or timeoutMs are interrupted by runCode itself.
+      if (!execution.signal.aborted) await this._interruptExecution(execution.json.executionId, options.context);
+      throw caught;
+    }
+
+    const final = end.result || {};
+
+    return new ExecutionResult({
+      results: final.results || results,
+      text: final.text,
+      logs: final.logs || logs,
+      error: final.error ?? error,
+      exitCode: final.exitCode ?? end.exitCode,
+      executionTime: final.executionTime ?? end.executionTime
+    });
+  }
+
+  /**
+   * Ask the server to interrupt a running execution. Failures are logged, not thrown,
+   * since the caller has already given up on the execution.
+   * @param {string} executionId - Execution ID sent with the code
+   * @param {Object} context - Code context the execution runs in, if any
+   * @returns {Promise<void>}
+   */
+  async _interruptExecution(executionId, context) {
+    try {
+      await this._request('POST', `/api/sandbox/${this.sandboxId}/interrupt`, {
+        json: {
+          executionId: executionId,
+          ...(context && { contextId: context.id })
         },
-        body: JSON.stringify({
-          sandboxId: this.sandboxId,
-          code: code,
-          language: language
-        })
+        errorMessage: 'Failed to interrupt execution'
+      });
+    } catch (error) {
+      this._logger.warn(`Execution interrupt failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an isolated code context (an independent REPL session)
+   * @param {Object} opts - Context options and request options (signal, requestTimeoutMs)
+   * @param {string} opts.cwd - Working directory of the context
+   * @param {string} opts.language - Programming language (default: python)
+   * @returns {Promise<Object>} Context (id, language, cwd) to pass to runCode
+   */
+  async createCodeContext(opts = {}) {
+    const { cwd, language = 'python', ...requestOpts } = opts;
+
+    try {
+      const path = `/api/sandbox/${this.sandboxId}/contexts`;
+      const { response, data } = await this._request('POST', path, {
+        ...requestOpts,
+        json: { language, ...(cwd && { cwd }) },
+        errorMessage: 'Failed to create code context'
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to execute code: ${response.statusText}`);
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Code context creation failed', { status: response.status, body: data, path });
       }
 
-      const data = await response.json();
-      
+      const context = toCodeContext(data.context || data);
+      this._logger.debug(`Code context created: ${context.id}`);
+      return context;
+    } catch (error) {
+      this._logger.error(`Code context creation failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List the sandbox's code contexts
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Array<Object>>} Contexts
+   */
+  async listCodeContexts(opts = {}) {
+    try {
+      const path = `/api/sandbox/${this.sandboxId}/contexts`;
+      const { response, data } = await this._request('GET', path, {
+        ...opts,
+        errorMessage: 'Failed to list code contexts'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Code context listing failed', { status: response.status, body: data, path });
+      }
+
+      return (data.contexts || []).map(toCodeContext);
+    } catch (error) {
+      this._logger.error(`Code context listing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restart a code context, clearing its state
+   * @param {Object|string} context - Context or context ID
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
+   */
+  async restartCodeContext(context, opts = {}) {
+    const contextId = typeof context === 'string' ? context : context.id;
+
+    try {
+      const path = `/api/sandbox/${this.sandboxId}/contexts/${encodeURIComponent(contextId)}/restart`;
+      const { response, data } = await this._request('POST', path, {
+        ...opts,
+        errorMessage: 'Failed to restart code context'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Code context restart failed', { status: response.status, body: data, path });
+      }
+
+      this._logger.debug(`Code context restarted: ${contextId}`);
+    } catch (error) {
+      this._logger.error(`Code context restart failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a code context
+   * @param {Object|string} context - Context or context ID
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
+   */
+  async removeCodeContext(context, opts = {}) {
+    const contextId = typeof context === 'string' ? context : context.id;
+
+    try {
+      const path = `/api/sandbox/${this.sandboxId}/contexts/${encodeURIComponent(contextId)}`;
+      const { response, data } = await this._request('DELETE', path, {
+        ...opts,
+        errorMessage: 'Failed to remove code context'
+      });
+
       if (!data.success) {
-        throw new Error(data.error || 'Code execution failed');
+        throw new SandboxError(data.error || 'Code context removal failed', { status: response.status, body: data, path });
       }
 
-      return new ExecutionResult(data.result);
+      this._logger.debug(`Code context removed: ${contextId}`);
     } catch (error) {
-      console.error('❌ Code execution failed:', error);
+      this._logger.error(`Code context removal failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Get sandbox host URL (equivalent to E2B's getHost)
-   * @param {number} port - Port number (optional)
+   * Get the URL of a port in the sandbox (equivalent to E2B's getHost).
+   * Built from the server's dynamic subdomain format, e.g. https://{port}-{id}.yourdomain.com;
+   * without one, falls back to path-based routing on the server URL: /{port}-{id}/
+   * @param {number} port - Port number (optional; defaults to the sandbox's own URL)
    * @returns {string} Host URL
    */
   getHost(port = null) {
-    if (this.urls?.subdomain) {
-      return this.urls.subdomain;
+    if (!port) {
+      return this.urls?.subdomain || `${this.serverUrl}/preview/${this.sandboxId}`;
     }
-    
-    if (port) {
-      return `${this.serverUrl.replace('http://localhost', `http://localhost:${port}`)}`;
+
+    const format = this.dynamicSubdomain?.format;
+    if (format) {
+      const host = format
+        .replace(/\{port\}/g, String(port))
+        .replace(/\{(id|sandboxId)\}/g, this.sandboxId)
+        .replace(/\{portId\}/g, `${port}-${this.sandboxId}`);
+      // Formats may leave out the scheme; use the server's so https servers get https hosts
+      return host.includes('://') ? host : `${new URL(this.serverUrl).protocol}//${host}`;
     }
-    
-    return `${this.serverUrl}/preview/${this.sandboxId}`;
+
+    // Join rather than resolve, so a base path on the server URL is kept
+    return `${this.serverUrl.replace(/\/+$/, '')}/${port}-${this.sandboxId}/`;
+  }
+
+  /**
+   * Get the URLs of all exposed ports (see ports.list for full details)
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Array<Object>>} Hosts ({ port, url })
+   */
+  async getHosts(opts = {}) {
+    const ports = await this.ports.list(opts);
+    return ports.map(({ port, url }) => ({ port, url }));
   }
 
   /**
@@ -147,6 +3012,147 @@ class Sandbox {
     return this.urls?.subdomain || null;
   }
 
+  /**
+   * Wait until a port is ready: something listens on it inside the sandbox, and
+   * its URL answers through the dynamic subdomain proxy with anything but 502/503/504
+   * @param {number} port - Port number
+   * @param {Object} opts - Wait options
+   * @param {number} opts.timeoutMs - Give up after this many milliseconds (default: 60000)
+   * @param {number} opts.intervalMs - Delay between checks (default: 500)
+   * @param {Object} opts.headers - Headers for the proxy check, e.g. X-Access-Token for non-public ports
+   * @param {AbortSignal} opts.signal - Stops waiting
+   * @returns {Promise<string>} URL of the port
+   * @throws {WaitTimeoutError} If the port is not ready in time
+   */
+  async waitForPort(port, opts = {}) {
+    const { timeoutMs = DEFAULT_WAIT_TIMEOUT_MS, intervalMs = DEFAULT_WAIT_INTERVAL_MS, headers, signal } = opts;
+    const url = this.getHost(port);
+    let lastStatus = null;
+
+    try {
+      // Match the port in `ss`/`netstat` listings, e.g. 0.0.0.0:3000 or :::3000
+      const listening = `(ss -ltn 2>/dev/null || netstat -ltn 2>/dev/null) | grep -qE '[:.]${Number(port)}[[:space:]]'`;
+      await pollUntil(async (deadline) => {
+        // The stream can stall after it opens, so the deadline and signal must
+        // also bound the wait for the command to finish, not just the request
+        let timer;
+        let onAbort;
+        let stopped = false;
+        let finished = false;
+        let handle = null;
+        const cutOff = new Promise((resolve, reject) => {
+          timer = setTimeout(() => resolve(null), Math.max(deadline - Date.now(), 0));
+          if (!signal) return;
+          onAbort = () => reject(signal.reason || new Error('The operation was aborted'));
+          if (signal.aborted) onAbort();
+          else signal.addEventListener('abort', onAbort, { once: true });
+        });
+        const stop = (running) => {
+          if (finished) return;
+          running.disconnect();
+          running.kill().catch(() => {});
+        };
+        const check = this.commands.run(listening, {
+          background: true,
+          timeoutMs: Math.max(deadline - Date.now(), 1),
+          requestTimeoutMs: Math.max(deadline - Date.now(), 1)
+        }).then((started) => {
+          handle = started;
+          if (stopped) stop(handle);
+          return handle.wait();
+        }).then((result) => {
+          finished = true;
+          return result;
+        });
+        check.catch(() => {});
+
+        try {
+          const result = await Promise.race([check, cutOff]);
+          return result !== null && result.exitCode === 0;
+        } catch (error) {
+          if (error instanceof TimeoutError) return false;
+          throw error;
+        } finally {
+          stopped = true;
+          clearTimeout(timer);
+          if (onAbort) signal.removeEventListener('abort', onAbort);
+          if (handle) stop(handle);
+        }
+      }, {
+        timeoutMs, intervalMs, signal,
+        onTimeout: () => new WaitTimeoutError(`Port ${port} is not listening after ${timeoutMs}ms`, { lastStatus })
+      });
+
+      await pollUntil(async (deadline) => {
+        const status = await probeUrl(url, { headers, signal, timeoutMs: deadline - Date.now() });
+        if (status !== null) lastStatus = status;
+        return status !== null && !PROXY_UNAVAILABLE_STATUSES.includes(status);
+      }, {
+        timeoutMs, intervalMs, signal,
+        onTimeout: () => new WaitTimeoutError(
+          `Port ${port} is not reachable through ${url} after ${timeoutMs}ms (last status: ${lastStatus ?? 'no response'})`,
+          { lastStatus, path: url }
+        )
+      });
+
+      this._logger.debug(`Port ready: ${port} (${url})`);
+      return url;
+    } catch (error) {
+      this._logger.error(`Waiting for port failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Wait until a URL of the sandbox answers with the expected status
+   * @param {string} path - Path on the sandbox URL (see getHost), or an absolute URL
+   * @param {Object} opts - Wait options
+   * @param {number|Array<number>} opts.expectStatus - Status or statuses to wait for (default: 200)
+   * @param {number} opts.port - Port whose URL the path is on (default: the sandbox's own URL)
+   * @param {number} opts.timeoutMs - Give up after this many milliseconds (default: 60000)
+   * @param {number} opts.intervalMs - Delay between checks (default: 500)
+   * @param {Object} opts.headers - Request headers, e.g. X-Access-Token for non-public ports
+   * @param {AbortSignal} opts.signal - Stops waiting
+   * @returns {Promise<string>} The URL
+   * @throws {WaitTimeoutError} If the status is not seen in time
+   */
+  async waitForUrl(path, opts = {}) {
+    const {
+      expectStatus = 200,
+      port,
+      timeoutMs = DEFAULT_WAIT_TIMEOUT_MS,
+      intervalMs = DEFAULT_WAIT_INTERVAL_MS,
+      headers,
+      signal
+    } = opts;
+    const expected = Array.isArray(expectStatus) ? expectStatus : [expectStatus];
+    // Join by hand: new URL() would drop the /{port}-{id}/ prefix of path-based URLs
+    const url = /^[a-z]+:\/\//i.test(path)
+      ? path
+      : `${this.getHost(port).replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    let lastStatus = null;
+
+    try {
+      await pollUntil(async (deadline) => {
+        const status = await probeUrl(url, { headers, signal, timeoutMs: deadline - Date.now() });
+        if (status !== null) lastStatus = status;
+        return expected.includes(status);
+      }, {
+        timeoutMs, intervalMs, signal,
+        onTimeout: () => new WaitTimeoutError(
+          `${url} did not return ${expected.join(' or ')} within ${timeoutMs}ms (last status: ${lastStatus ?? 'no response'})`,
+          { lastStatus, path: url }
+        )
+      });
+
+      this._logger.debug(`URL ready: ${url}`);
+      return url;
+    } catch (error) {
+      this._logger.error(`Waiting for URL failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Get path-based URL
    * @returns {string} Path-based URL
@@ -156,233 +3162,286 @@ class Sandbox {
   }
 
   /**
-   * Set sandbox timeout
+   * Set sandbox timeout (equivalent to E2B's setTimeout).
+   * The server kills the sandbox `timeoutMs` from now, replacing any earlier deadline.
    * @param {number} timeoutMs - Timeout in milliseconds
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
    */
-  setTimeout(timeoutMs) {
-    this.timeout = timeoutMs;
-    console.log(`⏰ Sandbox timeout set to ${timeoutMs}ms`);
+  async setTimeout(timeoutMs, opts = {}) {
+    try {
+      const path = `/api/sandbox/${this.sandboxId}/timeout`;
+      const { response, data } = await this._request('POST', path, {
+        ...opts,
+        json: { timeoutMs },
+        errorMessage: 'Failed to set timeout'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Setting timeout failed', { status: response.status, body: data, path });
+      }
+
+      this.timeout = timeoutMs;
+      this._endAt = Date.now() + timeoutMs;
+      this._logger.debug(`Sandbox timeout set to ${timeoutMs}ms`);
+    } catch (error) {
+      this._logger.error(`Setting timeout failed: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * Extend sandbox timeout
+   * Extend sandbox timeout by pushing the server's deadline back.
+   * The server applies `extendMs` to its current deadline, so concurrent extensions add up;
+   * `timeoutMs` is sent alongside for servers that only understand absolute timeouts.
    * @param {number} extensionMs - Extension in milliseconds
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<void>}
+   */
+  async extendTimeout(extensionMs, opts = {}) {
+    try {
+      // The server's deadline is authoritative; the local estimate is only a fallback
+      // for servers that do not report one
+      const info = await this.getInfo(opts);
+      const endAt = info.endAt ? info.endAt.getTime() : this._endAt;
+      const remainingMs = Math.max(0, endAt - Date.now());
+
+      const path = `/api/sandbox/${this.sandboxId}/timeout`;
+      const { response, data } = await this._request('POST', path, {
+        ...opts,
+        json: { extendMs: extensionMs, timeoutMs: remainingMs + extensionMs },
+        errorMessage: 'Failed to extend timeout'
+      });
+
+      if (!data.success) {
+        throw new SandboxError(data.error || 'Extending timeout failed', { status: response.status, body: data, path });
+      }
+
+      this._endAt = data.endAt != null ? new Date(data.endAt).getTime() : Date.now() + remainingMs + extensionMs;
+      this._logger.debug(`Sandbox timeout extended by ${extensionMs}ms`);
+    } catch (error) {
+      this._logger.error(`Extending timeout failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get sandbox information, including when the server will kill it
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Sandbox info (sandboxId, name, runtime, status, createdAt, startedAt, endAt, metadata, envs)
    */
-  async extendTimeout(extensionMs) {
-    this.timeout += extensionMs;
-    console.log(`⏰ Sandbox timeout extended by ${extensionMs}ms`);
+  async getInfo(opts = {}) {
+    const data = await this.getStatus(opts);
+    return toSandboxInfo(data);
   }
 
   /**
    * Install packages in the sandbox
    * @param {string|Array} packages - Package name(s) to install
    * @param {string} manager - Package manager (pip, npm, yarn)
+   * @param {Object} opts - Request options (signal, requestTimeoutMs; no timeout by default)
    * @returns {Promise<Object>} Installation result
    */
-  async install(packages, manager = 'pip') {
+  async install(packages, manager = 'pip', opts = {}) {
     const packageList = Array.isArray(packages) ? packages : [packages];
     
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/${this.sandboxId}/install-packages`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        },
-        body: JSON.stringify({
+      const path = `/api/sandbox/${this.sandboxId}/install-packages`;
+      const { response, data } = await this._request('POST', path, {
+        ...opts,
+        json: {
           packages: packageList,
           manager: manager
-        })
+        },
+        // Installs can take minutes, so the default request timeout does not apply
+        requestTimeoutMs: opts.requestTimeoutMs ?? 0,
+        errorMessage: 'Failed to install packages'
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to install packages: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       
       if (!data.success) {
-        throw new Error(data.error || 'Package installation failed');
+        throw new SandboxError(data.error || 'Package installation failed', { status: response.status, body: data, path });
       }
 
-      console.log(`✅ Packages installed: ${packageList.join(', ')}`);
+      this._logger.debug(`Packages installed: ${packageList.join(', ')}`);
       return data;
     } catch (error) {
-      console.error('❌ Package installation failed:', error);
+      this._logger.error(`Package installation failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Write file to sandbox
+   * Write file to sandbox (alias of files.write)
    * @param {string} filePath - File path
-   * @param {string} content - File content
-   * @returns {Promise<Object>} Write result
+   * @param {string|ArrayBuffer|Uint8Array|Blob|ReadableStream} content - File content
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Write info
    */
-  async writeFile(filePath, content) {
-    try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/${this.sandboxId}/write-file`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        },
-        body: JSON.stringify({
-          filePath: filePath,
-          content: content
-        })
-      });
+  writeFile(filePath, content, opts = {}) {
+    return this.files.write(filePath, content, opts);
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to write file: ${response.statusText}`);
-      }
+  /**
+   * Read file from sandbox (alias of files.read)
+   * @param {string} filePath - File path
+   * @param {Object} opts - Read options (format) and request options (signal, requestTimeoutMs)
+   * @returns {Promise<string|Uint8Array|Blob|ReadableStream>} File content
+   */
+  readFile(filePath, opts = {}) {
+    return this.files.read(filePath, opts);
+  }
 
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error(data.error || 'File write failed');
-      }
+  /**
+   * List files in sandbox (alias of files.list)
+   * @param {string} directory - Directory path (optional)
+   * @param {Object} opts - List options (depth) and request options (signal, requestTimeoutMs)
+   * @returns {Promise<Array>} File list
+   */
+  listFiles(directory = '/', opts = {}) {
+    return this.files.list(directory, opts);
+  }
 
-      console.log(`✅ File written: ${filePath}`);
-      return data;
-    } catch (error) {
-      console.error('❌ File write failed:', error);
-      throw error;
-    }
+  /**
+   * Get a time-limited signed URL for uploading a file (equivalent to E2B's uploadUrl).
+   * The URL needs no API key: POST multipart form data with the content as `file`.
+   * @param {string} filePath - Destination file path
+   * @param {Object} opts - URL options and request options (signal, requestTimeoutMs)
+   * @param {number} opts.expiresIn - Seconds until the URL expires (default: server default)
+   * @returns {Promise<string>} Signed URL
+   */
+  uploadUrl(filePath, opts = {}) {
+    return this._signFileUrl(filePath, 'write', opts);
+  }
+
+  /**
+   * Get a time-limited signed URL for downloading a file (equivalent to E2B's downloadUrl).
+   * The URL needs no API key, so it can be handed to a browser.
+   * @param {string} filePath - File path
+   * @param {Object} opts - URL options and request options (signal, requestTimeoutMs)
+   * @param {number} opts.expiresIn - Seconds until the URL expires (default: server default)
+   * @returns {Promise<string>} Signed URL
+   */
+  downloadUrl(filePath, opts = {}) {
+    return this._signFileUrl(filePath, 'read', opts);
   }
 
   /**
-   * Read file from sandbox
+   * Ask the server to sign a file URL
    * @param {string} filePath - File path
-   * @returns {Promise<string>} File content
+   * @param {string} operation - 'read' or 'write'
+   * @param {Object} opts - expiresIn and request options
+   * @returns {Promise<string>} Signed URL, made absolute against the server URL
    */
-  async readFile(filePath) {
+  async _signFileUrl(filePath, operation, opts = {}) {
+    const { expiresIn, ...requestOpts } = opts;
+    filePath = this.files._resolve(filePath);
+
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/${this.sandboxId}/files/${filePath}`, {
-        headers: {
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        }
+      const path = `/api/sandbox/${this.sandboxId}/signed-url`;
+      const { response, data } = await this._request('POST', path, {
+        ...requestOpts,
+        json: { path: filePath, operation, ...(expiresIn && { expiresIn }) },
+        errorMessage: 'Failed to sign file URL'
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to read file: ${response.statusText}`);
+      if (!data.success) {
+        throw new SandboxError(data.error || 'File URL signing failed', { status: response.status, body: data, path });
       }
 
-      const content = await response.text();
-      console.log(`✅ File read: ${filePath}`);
-      return content;
+      this._logger.debug(`File URL signed (${operation}): ${filePath}`);
+      return new URL(data.url, this.serverUrl).toString();
     } catch (error) {
-      console.error('❌ File read failed:', error);
+      this._logger.error(`File URL signing failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * List files in sandbox
-   * @param {string} directory - Directory path (optional)
-   * @returns {Promise<Array>} File list
+   * Kill/terminate the sandbox
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Kill result
    */
-  async listFiles(directory = '/') {
+  async kill(opts = {}) {
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/${this.sandboxId}/files?directory=${encodeURIComponent(directory)}`, {
-        headers: {
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        }
+      const path = `/api/sandbox/delete/${this.sandboxId}`;
+      const { response, data } = await this._request('DELETE', path, {
+        ...opts,
+        errorMessage: 'Failed to kill sandbox'
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to list files: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       
       if (!data.success) {
-        throw new Error(data.error || 'File listing failed');
+        throw new SandboxError(data.error || 'Sandbox kill failed', { status: response.status, body: data, path });
       }
 
-      console.log(`✅ Files listed in: ${directory}`);
-      return data.files;
+      this._logger.info(`Sandbox killed: ${this.sandboxId}`);
+      if (this._monitor) this._monitor._markKilled('killed');
+      return data;
     } catch (error) {
-      console.error('❌ File listing failed:', error);
+      this._logger.error(`Sandbox kill failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
-   * Kill/terminate the sandbox
-   * @returns {Promise<Object>} Kill result
+   * Pause the sandbox (equivalent to E2B's betaPause). Its filesystem and memory are
+   * saved and it stops consuming compute until Sandbox.resume(sandboxId).
+   * @param {Object} opts - Request options (signal, requestTimeoutMs; no timeout by default)
+   * @returns {Promise<boolean>} True if paused, false if it was already paused
    */
-  async kill() {
+  async pause(opts = {}) {
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/delete/${this.sandboxId}`, {
-        method: 'DELETE',
-        headers: {
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        }
+      const path = `/api/sandbox/${this.sandboxId}/pause`;
+      const { response, data } = await this._request('POST', path, {
+        ...opts,
+        // Saving memory can take longer than a control request
+        requestTimeoutMs: opts.requestTimeoutMs ?? 0,
+        errorMessage: 'Failed to pause sandbox'
       });
 
-      if (!response.ok) {
-        throw new Error(`Failed to kill sandbox: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      
       if (!data.success) {
-        throw new Error(data.error || 'Sandbox kill failed');
+        throw new SandboxError(data.error || 'Sandbox pause failed', { status: response.status, body: data, path });
       }
 
-      console.log(`✅ Sandbox killed: ${this.sandboxId}`);
-      return data;
+      this._logger.info(`Sandbox paused: ${this.sandboxId}`);
+      return !data.alreadyPaused;
     } catch (error) {
-      console.error('❌ Sandbox kill failed:', error);
+      this._logger.error(`Sandbox pause failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
    * Get sandbox status
-   * @returns {Promise<Object>} Sandbox status
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
+   * @returns {Promise<Object>} Sandbox status; status is 'paused' while paused
    */
-  async getStatus() {
+  async getStatus(opts = {}) {
     try {
-      const response = await fetch(`${this.serverUrl}/api/sandbox/${this.sandboxId}/state`, {
-        headers: {
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        }
+      const { data } = await this._request('GET', `/api/sandbox/${this.sandboxId}/state`, {
+        ...opts,
+        errorMessage: 'Failed to get status'
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get status: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('❌ Status check failed:', error);
+      this._logger.error(`Status check failed: ${error.message}`);
       throw error;
     }
   }
 
   /**
    * Get dynamic subdomain configuration
+   * @param {Object} opts - Request options (signal, requestTimeoutMs)
    * @returns {Promise<Object>} Subdomain configuration
    */
-  async getSubdomainConfig() {
+  async getSubdomainConfig(opts = {}) {
     try {
-      const response = await fetch(`${this.serverUrl}/api/subdomain/dynamic/${this.sandboxId}`, {
-        headers: {
-          ...(this.options.apiKey && { 'Authorization': `Bearer ${this.options.apiKey}` })
-        }
+      const { data } = await this._request('GET', `/api/subdomain/dynamic/${this.sandboxId}`, {
+        ...opts,
+        errorMessage: 'Failed to get subdomain config'
       });
-
-      if (!response.ok) {
-        throw new Error(`Failed to get subdomain config: ${response.statusText}`);
-      }
-
-      const data = await response.json();
       return data;
     } catch (error) {
-      console.error('❌ Subdomain config failed:', error);
+      this._logger.error(`Subdomain config failed: ${error.message}`);
       throw error;
     }
   }
@@ -390,10 +3449,10 @@ class Sandbox {
 
 // Export for both CommonJS and ES modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Sandbox, ExecutionResult };
+  module.exports = { Sandbox, ExecutionResult, ExecutionError, Result, CommandHandle, PtyHandle, WatchHandle, SandboxError, AuthenticationError, NotFoundError, InvalidArgumentError, RateLimitError, TimeoutError, WaitTimeoutError };
 } else if (typeof window !== 'undefined') {
-  window.YourE2BClone = { Sandbox, ExecutionResult };
+  window.YourE2BClone = { Sandbox, ExecutionResult, ExecutionError, Result, CommandHandle, PtyHandle, WatchHandle, SandboxError, AuthenticationError, NotFoundError, InvalidArgumentError, RateLimitError, TimeoutError, WaitTimeoutError };
 }
 
 // ES module export
-export { Sandbox, ExecutionResult };
+export { Sandbox, ExecutionResult, ExecutionError, Result, CommandHandle, PtyHandle, WatchHandle, SandboxError, AuthenticationError, NotFoundError, InvalidArgumentError, RateLimitError, TimeoutError, WaitTimeoutError };
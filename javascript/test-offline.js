@@ -0,0 +1,348 @@
+/**
+ * Your E2B Clone SDK - Offline Checks
+ *
+ * Runs against a local stand-in for the sandbox server, so no running
+ * server is needed. Covers sandbox path handling, directory archives, retries,
+ * timeouts, error mapping, execution results, streaming and lifecycle events.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  Sandbox,
+  SandboxError,
+  AuthenticationError,
+  NotFoundError,
+  InvalidArgumentError,
+  RateLimitError,
+  TimeoutError
+} = require('./bettere2b.js');
+
+/**
+ * Start a local server answering with the given handler
+ * @param {Function} handle - Called with (req, res, body) once the request body is read
+ * @returns {Promise<Object>} Server and its URL
+ */
+async function startServer(handle) {
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    handle(req, res, Buffer.concat(chunks));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, serverUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Reply with JSON
+ */
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Reply with Server-Sent Events, leaving the stream open unless `end` is set
+ */
+function sendEvents(res, events, end = true) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  if (end) res.end();
+}
+
+/**
+ * Pull the uploaded file out of a multipart/form-data body
+ */
+function multipartFile(req, body) {
+  const boundary = req.headers['content-type'].split('boundary=')[1];
+  const start = body.indexOf('\r\n\r\n', body.indexOf('filename=')) + 4;
+  return body.subarray(start, body.indexOf(`\r\n--${boundary}`, start));
+}
+
+/**
+ * Build a tar entry by hand, for archives the SDK would never produce itself
+ */
+function tarEntry(name, content) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(`${Buffer.byteLength(content).toString(8).padStart(11, '0')}\0`, 124);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257);
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+  const data = Buffer.alloc(Math.ceil(Buffer.byteLength(content) / 512) * 512);
+  data.write(content);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * List a local directory recursively as sorted relative paths (directories end with /)
+ */
+function listTree(root, prefix = '') {
+  const names = [];
+  for (const dirent of fs.readdirSync(path.join(root, prefix), { withFileTypes: true })) {
+    const name = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+    if (dirent.isDirectory()) names.push(`${name}/`, ...listTree(root, name));
+    else names.push(name);
+  }
+  return names.sort();
+}
+
+async function testOffline() {
+  console.log('🎯 Offline checks');
+  console.log('=' .repeat(50));
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'bettere2b-'));
+  let archive = null;
+  const fileRequests = [];
+  // Canned replies per "METHOD /path", used in order before the default routes
+  const replies = {};
+  const requests = [];
+  const { server, serverUrl } = await startServer((req, res, body) => {
+    const key = `${req.method} ${req.url}`;
+    requests.push(key);
+    if (replies[key] && replies[key].length > 0) {
+      replies[key].shift()(req, res);
+    } else if (req.url === '/api/sandbox/create') {
+      sendJson(res, 200, { success: true, sandboxId: 'sb1' });
+    } else if (req.url.startsWith('/api/sandbox/sb1/files/')) {
+      fileRequests.push(req.url.slice('/api/sandbox/sb1/files/'.length));
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('content');
+    } else if (req.url === '/api/sandbox/sb1/upload') {
+      archive = multipartFile(req, body);
+      sendJson(res, 200, { success: true });
+    } else if (req.url.startsWith('/api/sandbox/sb1/download?')) {
+      res.writeHead(200, { 'Content-Type': 'application/gzip' });
+      res.end(archive);
+    } else {
+      sendJson(res, 404, { success: false, error: `No route for ${req.method} ${req.url}` });
+    }
+  });
+
+  try {
+    const sandbox = await Sandbox.create({ serverUrl });
+
+    // 1. Paths resolve against the working directory and are encoded per segment
+    console.log('\n🧭 Testing sandbox paths...');
+    const inApp = await Sandbox.create({ serverUrl, cwd: '/srv/app' });
+    await inApp.files.read('src/main.py');
+    await inApp.files.read('./src/../lib//util.py');
+    await sandbox.files.read('notes.txt');
+    await sandbox.files.read('/a b/#1?.txt');
+    await sandbox.files.read('/données/日本.txt');
+    await sandbox.files.read('/tmp/../..tmp/100%');
+    assert.deepStrictEqual(fileRequests, [
+      'srv/app/src/main.py',
+      'srv/app/lib/util.py',
+      'home/user/notes.txt',
+      'a%20b/%231%3F.txt',
+      'donn%C3%A9es/%E6%97%A5%E6%9C%AC.txt',
+      '..tmp/100%25'
+    ]);
+
+    for (const invalid of ['/..', '/home/../..', '../../../etc/passwd', '/tmp/a\0b', '']) {
+      await assert.rejects(sandbox.files.read(invalid), InvalidArgumentError);
+    }
+    await assert.rejects(inApp.files.read('../../../x'), InvalidArgumentError);
+    assert.strictEqual(fileRequests.length, 6);
+    console.log('✅ Paths resolved, encoded and rejected as expected');
+
+    // 2. Ignore patterns follow .gitignore semantics
+    console.log('\n🙈 Testing ignore patterns...');
+    const source = path.join(tmp, 'source');
+    const longName = `${'nested-directory-name/'.repeat(5)}${'a-rather-long-file-name'.repeat(2)}.txt`;
+    const files = {
+      'app.js': 'app',
+      'debug.log': 'log',
+      'keep.log': 'kept',
+      'build/out.js': 'out',
+      'src/build': 'a file named build',
+      'src/cache/data.bin': 'data',
+      'cache/top.bin': 'top',
+      'docs/#notes.md': 'notes',
+      [longName]: 'long'
+    };
+    for (const [name, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(source, name)), { recursive: true });
+      fs.writeFileSync(path.join(source, name), content);
+    }
+
+    const upload = await sandbox.files.uploadDir(source, '/home/user/app', {
+      ignore: ['# a comment', '*.log', '!keep.log', 'build/', '/cache', '\\#notes.md']
+    });
+    assert.strictEqual(upload.files, 5);
+
+    // 3. Uploaded archives extract to the same tree, long names included
+    console.log('\n📦 Testing archive round-trip...');
+    const target = path.join(tmp, 'target');
+    const download = await sandbox.files.downloadDir('/home/user/app', target);
+    assert.strictEqual(download.files, 5);
+    assert.deepStrictEqual(listTree(target), [
+      'app.js',
+      'keep.log',
+      'docs/',
+      ...[1, 2, 3, 4, 5].map((depth) => 'nested-directory-name/'.repeat(depth)),
+      longName,
+      'src/',
+      'src/build',
+      'src/cache/',
+      'src/cache/data.bin'
+    ].sort());
+    assert.strictEqual(fs.readFileSync(path.join(target, longName), 'utf8'), 'long');
+    assert.strictEqual(fs.readFileSync(path.join(target, 'src/build'), 'utf8'), 'a file named build');
+    console.log('✅ Ignored entries skipped and a PAX long name survived the round-trip');
+
+    // 4. Entries outside the destination are rejected
+    console.log('\n🛡️ Testing archive entries outside the destination...');
+    for (const name of ['../escaped.txt', 'inner/../../escaped.txt', path.join(tmp, 'escaped.txt')]) {
+      archive = zlib.gzipSync(Buffer.concat([tarEntry('ok.txt', 'ok'), tarEntry(name, 'evil'), Buffer.alloc(1024)]));
+      await assert.rejects(sandbox.files.downloadDir('/home/user/app', path.join(tmp, 'unsafe')), InvalidArgumentError);
+      assert.ok(!fs.existsSync(path.join(tmp, 'escaped.txt')), `${name} was written`);
+    }
+    console.log('✅ `../` and absolute entries rejected');
+
+    // 5. Failed reads are retried with backoff, honouring Retry-After
+    console.log('\n🔁 Testing retries...');
+    const quick = await Sandbox.create({ serverUrl, retryDelayMs: 1 });
+    const statePath = 'GET /api/sandbox/sb1/state';
+    replies[statePath] = [
+      (req, res) => sendJson(res, 503, { success: false, error: 'starting' }),
+      (req, res) => {
+        res.setHeader('Retry-After', '0');
+        sendJson(res, 429, { success: false, error: 'slow down' });
+      },
+      (req, res) => sendJson(res, 200, { success: true, status: 'running' })
+    ];
+    requests.length = 0;
+    assert.strictEqual((await quick.getStatus()).status, 'running');
+    assert.strictEqual(requests.length, 3);
+
+    replies[statePath] = [(req, res) => {
+      res.setHeader('Retry-After', '3600');
+      sendJson(res, 429, { success: false, error: 'slow down' });
+    }];
+    requests.length = 0;
+    const startedAt = Date.now();
+    const limited = await quick.getStatus({ requestTimeoutMs: 30000 }).catch((error) => error);
+    assert.ok(limited instanceof RateLimitError);
+    assert.strictEqual(limited.retryAfterMs, 3600 * 1000);
+    assert.strictEqual(requests.length, 1);
+    assert.ok(Date.now() - startedAt < 5000);
+    console.log('✅ Retried transient failures and gave up on a long Retry-After');
+
+    // 6. Slow requests time out, and error statuses map to typed errors
+    console.log('\n⏱️ Testing timeouts and error types...');
+    const configPath = 'GET /api/subdomain/dynamic/sb1';
+    replies[configPath] = [() => {}, () => {}];
+    const patient = await Sandbox.create({ serverUrl, maxRetries: 1, retryDelayMs: 1, requestTimeoutMs: 50 });
+    await assert.rejects(patient.getSubdomainConfig(), TimeoutError);
+    assert.strictEqual(replies[configPath].length, 0);
+
+    const strict = await Sandbox.create({ serverUrl, maxRetries: 0 });
+    for (const [status, ErrorClass] of [[401, AuthenticationError], [403, AuthenticationError], [404, NotFoundError], [500, SandboxError]]) {
+      replies[configPath] = [(req, res) => sendJson(res, status, { success: false, error: `status ${status}` })];
+      const error = await strict.getSubdomainConfig().catch((caught) => caught);
+      assert.ok(error instanceof ErrorClass, `${status} gave ${error.name}`);
+      assert.strictEqual(error.status, status);
+      assert.match(error.message, new RegExp(`status ${status}`));
+    }
+    console.log('✅ Timeouts and error statuses raised the right errors');
+
+    // 7. User-code exceptions come back as results; server failures are thrown
+    console.log('\n🐍 Testing execution errors...');
+    const runPath = 'POST /api/sandbox/run-code';
+    replies[runPath] = [
+      (req, res) => sendJson(res, 200, {
+        success: false,
+        result: { error: 'Traceback (most recent call last):\n  File "<stdin>", line 1\nZeroDivisionError: division by zero\n' }
+      }),
+      (req, res) => sendJson(res, 200, {
+        success: false,
+        error: { name: 'KeyError', value: "'a'", traceback: ['line 1', 'line 2'] }
+      }),
+      (req, res) => sendJson(res, 200, { success: false, error: 'Unsupported language: cobol' })
+    ];
+    const division = await sandbox.runCode('1 / 0');
+    assert.strictEqual(division.error.name, 'ZeroDivisionError');
+    assert.strictEqual(division.error.value, 'division by zero');
+    const missing = await sandbox.runCode("{}['a']");
+    assert.strictEqual(missing.error.name, 'KeyError');
+    assert.strictEqual(missing.error.traceback, 'line 1\nline 2');
+    await assert.rejects(sandbox.runCode('x', 'cobol'), (error) => error instanceof SandboxError && /cobol/.test(error.message));
+    console.log('✅ Exceptions parsed and server failures thrown');
+
+    // 8. Streamed output reaches the callbacks; a throwing callback stops the code
+    console.log('\n📡 Testing streaming...');
+    const streamPath = 'POST /api/sandbox/stream-code';
+    let streamClosed = false;
+    replies[streamPath] = [
+      (req, res) => sendEvents(res, [
+        { type: 'output', stream: 'stdout', data: '0\n' },
+        { type: 'output', stream: 'stderr', data: 'warning\n' },
+        { type: 'result', result: { text: '3', isMainResult: true } },
+        { type: 'end', exitCode: 0 }
+      ]),
+      (req, res) => {
+        res.on('close', () => { streamClosed = true; });
+        sendEvents(res, [{ type: 'output', stream: 'stdout', data: 'first\n' }], false);
+      }
+    ];
+    const stdout = [];
+    const streamed = await sandbox.runCode('print(0)', { onStdout: (output) => stdout.push(output.line) });
+    assert.deepStrictEqual(stdout, ['0\n']);
+    assert.deepStrictEqual(streamed.logs.stderr, ['warning\n']);
+    assert.strictEqual(streamed.results[0].text, '3');
+
+    requests.length = 0;
+    await assert.rejects(sandbox.runCode('while True: print(1)', {
+      onStdout: () => { throw new Error('callback failed'); }
+    }), /callback failed/);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.ok(streamClosed, 'stream left open');
+    assert.strictEqual(requests.filter((key) => key === 'POST /api/sandbox/sb1/interrupt').length, 1);
+    console.log('✅ Output streamed, and a failing callback closed the stream and interrupted the code');
+
+    // 9. Lifecycle events arrive from the event stream
+    console.log('\n🔔 Testing lifecycle events...');
+    replies['GET /api/sandbox/sb1/events'] = [
+      (req, res) => sendEvents(res, [
+        { type: 'status', status: 'running' },
+        { type: 'oom' },
+        { type: 'killed', reason: 'timeout' }
+      ], false)
+    ];
+    const events = [];
+    const killed = new Promise((resolve) => sandbox.once('killed', resolve));
+    sandbox.on('status', ({ status }) => events.push(status));
+    sandbox.on('oom', () => events.push('oom'));
+    const { reason } = await killed;
+    assert.strictEqual(reason, 'timeout');
+    assert.deepStrictEqual(events, ['running', 'oom']);
+    console.log('✅ status, oom and killed events delivered');
+
+    console.log('\n🎉 All offline checks passed!');
+  } catch (error) {
+    console.error('❌ Offline check failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    server.closeAllConnections();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+// Run the checks
+if (require.main === module) {
+  testOffline();
+}
+
+module.exports = { testOffline };
@@ -66,12 +66,26 @@ async function testE2BCloneSDK() {
     const status = await sandbox.getStatus();
     console.log(`✅ Sandbox status:`, JSON.stringify(status, null, 2));
     
+    // 8. Test streaming execution
+    console.log('\n📡 Testing streaming execution...');
+    const streamed = [];
+    const streamResult = await sandbox.runCode('for i in range(3): print(i)', {
+      language: 'python',
+      onStdout: (output) => streamed.push(output.line)
+    });
+    console.log(`✅ Streamed ${streamed.length} lines, collected: ${streamResult.logs.stdout.join(', ')}`);
+    
+    // 9. Test shell commands
+    console.log('\n🐚 Testing shell commands...');
+    const commandResult = await sandbox.commands.run('echo "Hello from the shell"');
+    console.log(`✅ Command output: ${commandResult.stdout.trim()} (exit code ${commandResult.exitCode})`);
+    
     console.log('\n🎉 All tests passed! Your E2B Clone SDK works perfectly!');
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
   } finally {
-    // 8. Clean up (same as official E2B)
+    // Clean up (same as official E2B)
     if (sandbox) {
       console.log('\n🧹 Cleaning up sandbox...');
       await sandbox.kill();